@@ -29,7 +29,10 @@ const CONFIG = {
     SOLD_DATE: 10,
     PROFIT: 11,
     DAYS_TO_SELL: 12,
-  }
+  },
+
+  // Scans and batches run as background jobs on the API; how long to wait for one
+  JOB_WAIT_SECONDS: 240
 };
 
 function doGet() {
@@ -79,13 +82,40 @@ function setScriptProp_(key, value) {
 }
 
 /**
- * Save the Sole Resolver API URL
+ * Save the Sole Resolver API URL, and the API key when one is given
+ * (leave apiKey empty to keep the saved key)
  */
-function setSoleResolverUrl(url) {
+function setSoleResolverUrl(url, apiKey) {
   setScriptProp_("SOLE_RESOLVER_URL", url);
+  if (apiKey) setScriptProp_("SOLE_RESOLVER_API_KEY", apiKey);
   return true;
 }
 
+/**
+ * Headers sent with every Sole Resolver call (the API key, if saved)
+ */
+function apiHeaders_() {
+  const apiKey = getScriptProp_("SOLE_RESOLVER_API_KEY");
+  return apiKey ? { "X-API-Key": apiKey } : {};
+}
+
+/**
+ * Error message for a rejected API key or a used-up quota, else null
+ */
+function authError_(resp) {
+  const code = resp.getResponseCode();
+  if (code === 401) return "Sole Resolver rejected the API key. Open Settings and enter a valid key.";
+  if (code === 403) return "This API key is not allowed to do that. Ask for a key with the right scopes.";
+  if (code === 429) {
+    try {
+      if (JSON.parse(resp.getContentText()).error_code === "quota_exceeded") {
+        return "Daily API quota used up. Try again tomorrow.";
+      }
+    } catch (e) {}
+  }
+  return null;
+}
+
 /**
  * Get the configured Sole Resolver URL
  */
@@ -95,29 +125,47 @@ function getSoleResolverUrl() {
 
 /**
  * Look up sneaker details by SKU using Sole Resolver API
- * Returns { title, sku, brand, model, colorway } or null
+ * Pass usSize to get that size's resale estimate instead of the product-wide one.
+ * Returns { title, sku, brand, model, colorway, imageUrl, confidence, retailPrice, estimatedResale },
+ * or null when the SKU was not found.
+ * Throws when the API's upstream sources stay unavailable, so callers can retry
+ * later instead of treating the SKU as unknown.
  */
-function lookupSneakerBySku(sku) {
+function lookupSneakerBySku(sku, usSize) {
   const baseUrl = getSoleResolverUrl();
   if (!baseUrl || baseUrl === "https://your-sole-resolver.railway.app") {
     throw new Error("Sole Resolver API not configured. Open Settings and enter your API URL.");
   }
 
   const url = `${baseUrl}/resolve`;
-  
+  let resp;
+
   try {
-    const resp = UrlFetchApp.fetch(url, {
+    resp = fetchWithRetry_(url, {
       method: "post",
       contentType: "application/json",
-      payload: JSON.stringify({ query: sku }),
+      headers: apiHeaders_(),
+      payload: JSON.stringify(usSize ? { query: sku, size: String(usSize) } : { query: sku }),
       muteHttpExceptions: true
     });
+  } catch (error) {
+    console.log(`Lookup error: ${error.message}`);
+    return null;
+  }
 
-    if (resp.getResponseCode() !== 200) {
-      console.log(`Sole Resolver failed: ${resp.getContentText()}`);
-      return null;
-    }
+  if (resp.getResponseCode() === 503) {
+    throw new Error("Sneaker sources are temporarily unavailable. Try again in a minute.");
+  }
+
+  const authError = authError_(resp);
+  if (authError) throw new Error(authError);
 
+  if (resp.getResponseCode() !== 200) {
+    console.log(`Sole Resolver failed: ${resp.getContentText()}`);
+    return null;
+  }
+
+  try {
     const data = JSON.parse(resp.getContentText());
     
     if (!data.success || !data.resolved) {
@@ -126,11 +174,15 @@ function lookupSneakerBySku(sku) {
 
     return {
       title: data.resolved.name || "",
-      sku: sku,
+      // The API may have corrected an OCR/typing mistake (e.g. DD139I-1OO → DD1391-100)
+      sku: data.correction ? data.correction.corrected : sku,
       brand: data.resolved.brand || "",
       model: data.resolved.model || "",
       colorway: data.resolved.colorway || "",
-      confidence: data.confidence || 0
+      imageUrl: firstImage_(data.resolved),
+      confidence: data.confidence || 0,
+      retailPrice: data.market && data.market.retail_price ? data.market.retail_price.amount : null,
+      estimatedResale: data.market ? data.market.estimated_resale : null
     };
   } catch (error) {
     console.log(`Lookup error: ${error.message}`);
@@ -138,9 +190,118 @@ function lookupSneakerBySku(sku) {
   }
 }
 
+/**
+ * Look up many SKUs in one request using /resolve/batch
+ * Returns an array aligned with `skus`: { title, sku, brand, model, colorway, imageUrl, confidence, retailPrice, estimatedResale },
+ * { sku, unavailable: true } when the sources could not answer for that SKU (retry later), or null when not found
+ */
+function lookupSneakersBySkus(skus) {
+  const baseUrl = getSoleResolverUrl();
+  if (!baseUrl || baseUrl === "https://your-sole-resolver.railway.app") {
+    throw new Error("Sole Resolver API not configured. Open Settings and enter your API URL.");
+  }
+
+  const resp = fetchJobResult_(`${baseUrl}/resolve/batch`, { queries: skus });
+
+  const authError = authError_(resp);
+  if (authError) throw new Error(authError);
+
+  if (resp.getResponseCode() !== 200) {
+    console.log(`Sole Resolver batch failed: ${resp.getContentText()}`);
+    return skus.map(() => null);
+  }
+
+  const data = JSON.parse(resp.getContentText());
+
+  return data.results.map((item, i) => {
+    if (item.error_code === "upstream_unavailable") return { sku: skus[i], unavailable: true };
+    if (!item.success || !item.resolved) return null;
+    return {
+      title: item.resolved.name || "",
+      sku: skus[i],
+      brand: item.resolved.brand || "",
+      model: item.resolved.model || "",
+      colorway: item.resolved.colorway || "",
+      imageUrl: firstImage_(item.resolved),
+      confidence: item.confidence || 0,
+      retailPrice: item.market && item.market.retail_price ? item.market.retail_price.amount : null,
+      estimatedResale: item.market ? item.market.estimated_resale : null
+    };
+  });
+}
+
+/**
+ * UrlFetchApp.fetch that retries 503s (sources unavailable) up to twice,
+ * waiting for the API's Retry-After (capped at 10 seconds)
+ */
+function fetchWithRetry_(url, options) {
+  let resp;
+  for (let attempt = 0; attempt < 3; attempt++) {
+    resp = UrlFetchApp.fetch(url, options);
+    if (resp.getResponseCode() !== 503) return resp;
+
+    const retryAfter = Number(resp.getHeaders()["Retry-After"]) || 2;
+    if (attempt < 2) Utilities.sleep(Math.min(retryAfter, 10) * 1000);
+  }
+  return resp;
+}
+
+/**
+ * POST a scan or batch as a background job and wait for its result, so long
+ * requests do not hit UrlFetchApp's timeout. Returns the API response, or for
+ * jobs a response-like { getResponseCode, getContentText, getHeaders } holding
+ * the job result (the same payload the API returns without async).
+ */
+function fetchJobResult_(url, payload) {
+  const resp = UrlFetchApp.fetch(url, {
+    method: "post",
+    contentType: "application/json",
+    headers: apiHeaders_(),
+    payload: JSON.stringify(Object.assign({ async: true }, payload)),
+    muteHttpExceptions: true
+  });
+
+  // Errors, and older API versions that answer right away
+  if (resp.getResponseCode() !== 202) return resp;
+
+  const jobUrl = `${getSoleResolverUrl()}/jobs/${JSON.parse(resp.getContentText()).job_id}`;
+  const deadline = Date.now() + CONFIG.JOB_WAIT_SECONDS * 1000;
+
+  while (Date.now() < deadline) {
+    Utilities.sleep(2000);
+    const poll = UrlFetchApp.fetch(jobUrl, { method: "get", headers: apiHeaders_(), muteHttpExceptions: true });
+    if (poll.getResponseCode() === 404) throw new Error("The request expired on the server. Try again.");
+    if (poll.getResponseCode() !== 200) continue;
+
+    const job = JSON.parse(poll.getContentText());
+    if (job.status === "completed") return jobResponse_(200, job.result);
+    if (job.status === "failed") return jobResponse_(500, { success: false, error: job.error || "Request failed" });
+  }
+
+  throw new Error("The request is taking too long. Try again in a minute.");
+}
+
+function jobResponse_(code, data) {
+  const text = JSON.stringify(data);
+  return {
+    getResponseCode: () => code,
+    getContentText: () => text,
+    getHeaders: () => ({})
+  };
+}
+
+/**
+ * Thumbnail of the resolved product's primary image, or null
+ */
+function firstImage_(resolved) {
+  const image = resolved && resolved.images && resolved.images[0];
+  return image ? image.thumbnail || image.main : null;
+}
+
 /**
  * Process image through Sole Resolver OCR + Resolve
- * Returns { sku, usSize, sneakerName, brand, model, colorway } or error
+ * Returns { sku, usSize, size, sneakerName, brand, model, colorway, imageUrl, estimatedResale } or error
+ * `size` holds every region on the tag: { us, us_men, us_women, us_youth, uk, eu, cm, jp, scale, consistent }
  */
 function processImageWithOcr(imageBase64) {
   const baseUrl = getSoleResolverUrl();
@@ -151,12 +312,10 @@ function processImageWithOcr(imageBase64) {
   const url = `${baseUrl}/scan`;
   
   try {
-    const resp = UrlFetchApp.fetch(url, {
-      method: "post",
-      contentType: "application/json",
-      payload: JSON.stringify({ image: imageBase64 }),
-      muteHttpExceptions: true
-    });
+    const resp = fetchJobResult_(url, { image: imageBase64 });
+
+    const authError = authError_(resp);
+    if (authError) return { success: false, error: authError };
 
     const data = JSON.parse(resp.getContentText());
     
@@ -171,11 +330,17 @@ function processImageWithOcr(imageBase64) {
       success: data.success,
       sku: data.sku || null,
       usSize: data.us_size || null,
+      size: data.size || null,
       sneakerName: data.resolved?.name || null,
       brand: data.resolved?.brand || data.brand_hint || null,
       model: data.resolved?.model || null,
       colorway: data.resolved?.colorway || null,
+      imageUrl: firstImage_(data.resolved),
       confidence: data.confidence || 0,
+      retailPrice: data.market?.retail_price?.amount ?? null,
+      estimatedResale: data.market?.estimated_resale ?? null,
+      // True when the SKU was read but the lookup sources were down: scan again later
+      retryable: data.retryable || false,
       rawText: data.raw_text || "",
       error: data.error || null
     };
@@ -189,7 +354,9 @@ function processImageWithOcr(imageBase64) {
 
 /**
  * Adds a row for a new sneaker.
- * payload: { sneaker, sku, usSize, condition }
+ * payload: { sneaker, sku, usSize, condition, estimatedResale }
+ * The resale estimate is left as a note on the Sold Price cell so the
+ * Sold Price and Profit columns keep holding real sales only.
  */
 function addSneakerRow(payload) {
   const sh = getCurrentMonthSheet_();
@@ -212,6 +379,10 @@ function addSneakerRow(payload) {
   row[CONFIG.COL.DAYS_TO_SELL - 1] = "";
 
   sh.getRange(nextRow, 1, 1, 12).setValues([row]);
+  if (payload.estimatedResale) {
+    sh.getRange(nextRow, CONFIG.COL.SOLD_PRICE)
+      .setNote(`Estimated resale: $${Number(payload.estimatedResale).toFixed(2)} (as of ${dateAdded.toLocaleDateString()})`);
+  }
   sortSoldToTop_();
 
   return { ok: true, sheetUrl: getSheetUrl_(), monthTab: sh.getName(), row: nextRow };
@@ -241,24 +412,70 @@ function getAppLinks() {
 }
 
 /**
- * Check if the API is configured and reachable
+ * Check if the API is configured, reachable and able to resolve/scan
+ * Returns { configured, reachable, status: "ok"|"degraded"|"unavailable"|null, issues: [string] }
  */
 function checkApiStatus() {
   const baseUrl = getSoleResolverUrl();
   if (!baseUrl || baseUrl === "https://your-sole-resolver.railway.app") {
-    return { configured: false, reachable: false };
+    return { configured: false, reachable: false, status: null, issues: [] };
   }
 
   try {
-    const resp = UrlFetchApp.fetch(`${baseUrl}/health`, {
+    const resp = UrlFetchApp.fetch(`${baseUrl}/health/ready`, {
       method: "get",
+      headers: apiHeaders_(),
       muteHttpExceptions: true
     });
+    const code = resp.getResponseCode();
+
+    // Older servers only have /health
+    if (code === 404) {
+      const health = UrlFetchApp.fetch(`${baseUrl}/health`, {
+        method: "get",
+        headers: apiHeaders_(),
+        muteHttpExceptions: true
+      });
+      const ok = health.getResponseCode() === 200;
+      return { configured: true, reachable: ok, status: ok ? "ok" : null, issues: [] };
+    }
+
+    if (code !== 200 && code !== 503) {
+      return { configured: true, reachable: false, status: null, issues: [] };
+    }
+
+    const ready = JSON.parse(resp.getContentText());
     return {
       configured: true,
-      reachable: resp.getResponseCode() === 200
+      reachable: true,
+      status: ready.status,
+      issues: readinessIssues_(ready.checks || {})
     };
   } catch (e) {
-    return { configured: true, reachable: false };
+    return { configured: true, reachable: false, status: null, issues: [] };
   }
 }
+
+/**
+ * Human-readable problems from a /health/ready response
+ */
+function readinessIssues_(checks) {
+  const issues = [];
+
+  (checks.resolvers || []).forEach(r => {
+    if (r.status === "unavailable") {
+      issues.push(`${r.name} unreachable${r.probe && r.probe.error ? ` (${r.probe.error})` : ""}`);
+    } else if (r.status === "disabled" && !r.optional) {
+      issues.push(`${r.name} not configured${r.detail ? ` (${r.detail})` : ""}`);
+    }
+  });
+
+  if (checks.ocr && checks.ocr.status !== "ok") {
+    issues.push(`OCR unavailable${checks.ocr.detail ? ` (${checks.ocr.detail})` : ""}`);
+  }
+  if (checks.cache && checks.cache.status !== "ok") {
+    issues.push(`cache ${checks.cache.status}${checks.cache.detail ? ` (${checks.cache.detail})` : ""}`);
+  }
+
+  return issues;
+}
@@ -0,0 +1,54 @@
+/**
+ * Import products into the local catalog
+ *
+ *   npm run catalog:import -- products.csv
+ *   npm run catalog:import -- products.json --replace
+ *
+ * CSV needs a header row (sku, name, brand, model, colorway, retail, ...);
+ * JSON is an array of objects with the same keys. Existing products are
+ * updated, new ones added; --replace drops products missing from the file.
+ * Cached results for imported SKUs are cleared so the catalog data is served.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import dotenv from 'dotenv';
+import { parseCatalogFile, upsertCatalogEntries, getCatalogPath } from '../src/services/catalog.js';
+import { initCache, closeCache, invalidateCacheEntries } from '../src/db/cache.js';
+
+dotenv.config();
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--'));
+const replace = args.includes('--replace');
+
+if (!file) {
+  console.error('Usage: npm run catalog:import -- <file.csv|file.json> [--replace]');
+  process.exit(1);
+}
+
+const format = path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json';
+
+let items;
+try {
+  items = parseCatalogFile(fs.readFileSync(file, 'utf8'), format);
+} catch (error) {
+  console.error(`Could not read ${file}: ${error.message}`);
+  process.exit(1);
+}
+
+const result = upsertCatalogEntries(items, { replace });
+
+for (const { index, error } of result.skipped) {
+  // Row numbers as seen in the file (CSV has a header row)
+  console.warn(`Skipped ${format === 'csv' ? `row ${index + 2}` : `item ${index}`}: ${error}`);
+}
+
+await initCache();
+const invalidated = invalidateCacheEntries([...result.skus, ...result.removed]);
+closeCache();
+
+console.log(
+  `Catalog ${getCatalogPath()}: ${result.inserted} added, ${result.updated} updated, ` +
+  `${result.removed.length} removed, ${result.skipped.length} skipped; ${invalidated} cache entries cleared`
+);
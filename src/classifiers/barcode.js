@@ -0,0 +1,89 @@
+/**
+ * Barcode Classifier - UPC-A / EAN-13 codes printed on shoebox labels
+ *
+ * Examples:
+ * - UPC-A (US labels):  "195866000017"  (12 digits)
+ * - EAN-13 (EU/Asia):   "4066746142718" (13 digits)
+ *
+ * A UPC-A is an EAN-13 with a leading 0, so codes are keyed by their
+ * 13-digit GTIN: both spellings of one barcode share a cache entry.
+ */
+
+const FORMATS = {
+  12: 'upc_a',
+  13: 'ean_13'
+};
+
+/**
+ * Check whether an input is a UPC/EAN barcode, and whether its check digit holds
+ * Spaces and hyphens are ignored ("0 12345 67890 5" is read as 012345678905).
+ *
+ * @param {string} input
+ * @returns {{ barcode: boolean, valid: boolean, code: string|null, format: string|null, gtin: string|null }}
+ *   `barcode` is set for any 12–13 digit input; `valid` only when the check digit matches
+ */
+export function classifyBarcode(input) {
+  const code = typeof input === 'string' ? input.replace(/[\s-]+/g, '') : '';
+
+  if (!/^\d{12,13}$/.test(code)) {
+    return { barcode: false, valid: false, code: null, format: null, gtin: null };
+  }
+
+  const valid = isValidGtin(code);
+  return {
+    barcode: true,
+    valid,
+    code,
+    format: FORMATS[code.length],
+    gtin: valid ? toGtin13(code) : null
+  };
+}
+
+/**
+ * Verify a GTIN check digit (UPC-A, EAN-13, EAN-8, GTIN-14)
+ * Digits are weighted 3,1,3,1... from the right, check digit excluded.
+ *
+ * @param {string} code - Digits only
+ * @returns {boolean}
+ */
+export function isValidGtin(code) {
+  if (!/^(\d{8}|\d{12,14})$/.test(code)) return false;
+
+  const digits = [...code].map(Number);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((total, digit, i) => total + digit * (i % 2 === 0 ? 3 : 1), 0);
+
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+/**
+ * 13-digit form of a UPC-A or EAN-13 code (cache key)
+ * @param {string} code
+ * @returns {string}
+ */
+export function toGtin13(code) {
+  return code.length === 12 ? `0${code}` : code;
+}
+
+/**
+ * Find barcodes with a valid check digit in a block of text
+ * Picks up the digits printed under the bars, grouped ("1 95866 00001 7") or not.
+ *
+ * @param {string} text - Raw text (e.g., from OCR)
+ * @returns {Array<{ code: string, format: string, gtin: string }>} In reading order, deduped by GTIN
+ */
+export function extractBarcodesFromText(text) {
+  if (!text) return [];
+
+  const found = new Map();
+  for (const line of text.split(/[\n\r]+/)) {
+    for (const match of line.matchAll(/\d[\d ]{10,16}\d/g)) {
+      const barcode = classifyBarcode(match[0]);
+      if (barcode.valid && !found.has(barcode.gtin)) {
+        found.set(barcode.gtin, { code: barcode.code, format: barcode.format, gtin: barcode.gtin });
+      }
+    }
+  }
+
+  return [...found.values()];
+}
@@ -0,0 +1,240 @@
+/**
+ * Size Tag Parser - Reads the multi-region size table printed on shoe tags
+ *
+ * Tag Examples:
+ * - Nike:        "US 10  UK 9  EUR 44  CM 28"
+ * - Adidas grid: "UK  FR  US  JP" / "9½  44 2/3  10  280"
+ * - Youth:       "US 7Y  UK 6  EUR 40  CM 25"
+ * - Unisex:      "M 9 / W 10.5"
+ * - Women's:     "WMNS US 8.5  UK 6  EUR 40  CM 25.5"
+ */
+
+// Region labels as printed on tags. FR and D are Adidas' labels for EU sizes.
+const REGION_LABELS = {
+  US: 'us',
+  UK: 'uk',
+  EUR: 'eu',
+  EU: 'eu',
+  FR: 'eu',
+  D: 'eu',
+  CM: 'cm',
+  JP: 'jp',
+  // Printed on some tags but not returned; still needed to align grid columns
+  BR: null,
+  CHN: null,
+  MEX: null,
+  KR: null
+};
+
+const GENDER_LABELS = {
+  M: 'men',
+  MEN: 'men',
+  "MEN'S": 'men',
+  MENS: 'men',
+  W: 'women',
+  WMNS: 'women',
+  WOMEN: 'women',
+  "WOMEN'S": 'women',
+  WOMENS: 'women'
+};
+
+const VALUE = String.raw`(\d{1,3}(?:[.,]\d{1,2})?(?:\s+[12]\/[23])?)\s*([YC])?\b`;
+const LABEL_LIST = Object.keys(REGION_LABELS).join('|');
+const GENDER_LIST = "WOMEN'S|WOMENS|WOMEN|WMNS|MEN'S|MENS|MEN|W|M";
+
+// Max difference (in cm) a region may show from the others before it is flagged
+const CM_TOLERANCE = 1.0;
+
+/**
+ * Parse every size region found on a tag
+ * @param {string} text - Raw OCR text
+ * @returns {Object|null} Size object, or null when no size was found
+ */
+export function parseSizeTag(text) {
+  if (!text) return null;
+
+  const normalized = normalizeText(text);
+  const found = {};
+
+  parseGrid(normalized, found);
+  parseInline(normalized, found);
+
+  if (!Object.keys(found).length) return null;
+
+  const size = buildSize(found);
+  const check = checkConsistency(size);
+
+  return { ...size, ...check };
+}
+
+/**
+ * Normalize OCR text: uppercase, unicode fractions, comma decimals
+ */
+function normalizeText(text) {
+  return text
+    .toUpperCase()
+    .replace(/(\d)\s*½/g, '$1.5')
+    .replace(/(\d)\s*⅓/g, '$1 1/3')
+    .replace(/(\d)\s*⅔/g, '$1 2/3')
+    .replace(/(\d),(\d)/g, '$1.$2')
+    .replace(/[’`]/g, "'");
+}
+
+/**
+ * Parse a number with an optional trailing fraction ("44 2/3" → 44.67)
+ */
+function parseValue(raw) {
+  const match = raw.trim().match(/^(\d{1,3}(?:\.\d{1,2})?)(?:\s+([12])\/([23]))?$/);
+  if (!match) return null;
+
+  let value = parseFloat(match[1]);
+  if (match[2]) {
+    value += parseInt(match[2], 10) / parseInt(match[3], 10);
+  }
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Record a value unless that key was already filled
+ */
+function record(found, key, value) {
+  if (value == null || found[key] != null) return;
+  found[key] = value;
+}
+
+/**
+ * Grid layout: a header line of region labels followed by a line of values
+ */
+function parseGrid(text, found) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const labelPattern = new RegExp(`^(?:(?:${LABEL_LIST})\\b\\s*)+$`);
+
+  for (let i = 0; i < lines.length - 1; i++) {
+    if (!labelPattern.test(lines[i])) continue;
+
+    const labels = lines[i].split(/\s+/);
+    if (labels.length < 2) continue;
+
+    const values = [...lines[i + 1].matchAll(new RegExp(VALUE, 'g'))];
+    if (values.length !== labels.length) continue;
+
+    labels.forEach((label, idx) => {
+      const region = REGION_LABELS[label];
+      if (!region) return;
+      assignRegion(found, region, null, parseValue(values[idx][1]), values[idx][2]);
+    });
+  }
+}
+
+/**
+ * Inline layout: "US 10", "US M 10 / W 11.5", "WMNS US 8.5", "EUR 44 2/3", "CM 28"
+ */
+function parseInline(text, found) {
+  const regionPattern = new RegExp(
+    `(?:\\b(${GENDER_LIST})\\s+)?\\b(${LABEL_LIST})\\b\\s*(?:(${GENDER_LIST})\\b\\s*)?[:.#]?\\s*${VALUE}`,
+    'g'
+  );
+
+  for (const match of text.matchAll(regionPattern)) {
+    const region = REGION_LABELS[match[2]];
+    if (!region) continue;
+    const gender = GENDER_LABELS[match[3] || match[1]] || null;
+    assignRegion(found, region, gender, parseValue(match[4]), match[5]);
+  }
+
+  // Bare gender labels ("M 9 / W 10.5"), only trusted next to other size info
+  const genderPattern = new RegExp(`(?:^|[\\s/|])(${GENDER_LIST})\\s*[:.]?\\s*${VALUE}`, 'g');
+  for (const match of text.matchAll(genderPattern)) {
+    const value = parseValue(match[2]);
+    if (value == null || value > 18) continue;
+    assignRegion(found, 'us', GENDER_LABELS[match[1]], value, match[3]);
+  }
+
+  // Fallback: "SIZE 10"
+  if (found.us == null && found.us_men == null && found.us_women == null) {
+    const sizeMatch = text.match(new RegExp(`\\bSIZE\\s*[:#]?\\s*${VALUE}`));
+    if (sizeMatch) assignRegion(found, 'us', null, parseValue(sizeMatch[1]), sizeMatch[2]);
+  }
+}
+
+/**
+ * Store a parsed value under the right key, handling US gender/youth scales
+ */
+function assignRegion(found, region, gender, value, suffix) {
+  if (value == null) return;
+
+  if (region === 'us') {
+    if (suffix === 'Y') return record(found, 'us_youth', value);
+    if (suffix === 'C') return record(found, 'us_child', value);
+    if (gender === 'women') return record(found, 'us_women', value);
+    if (gender === 'men') return record(found, 'us_men', value);
+    return record(found, 'us', value);
+  }
+
+  if (region === 'uk' && suffix === 'C') return record(found, 'uk_child', value);
+  if (region === 'jp' && value > 100) return record(found, 'jp', value / 10);
+
+  record(found, region, value);
+}
+
+/**
+ * Assemble the public size object and work out the scale
+ */
+function buildSize(found) {
+  let scale = null;
+  if (found.us_child != null) scale = 'child';
+  else if (found.us_youth != null) scale = 'youth';
+  else if (found.us_men != null && found.us_women != null) scale = 'unisex';
+  else if (found.us_women != null) scale = 'women';
+  else if (found.us_men != null) scale = 'men';
+
+  const usMen = found.us_men ?? (scale === null || scale === 'unisex' ? found.us ?? null : null);
+
+  const size = {
+    us: found.us_men ?? found.us ?? found.us_women ?? found.us_youth ?? found.us_child ?? null,
+    us_men: usMen,
+    us_women: found.us_women ?? null,
+    us_youth: found.us_youth ?? null,
+    us_child: found.us_child ?? null,
+    uk: found.uk ?? found.uk_child ?? null,
+    eu: found.eu ?? null,
+    cm: found.cm ?? null,
+    jp: found.jp ?? null,
+    scale: scale || (found.us != null ? 'men' : null)
+  };
+
+  size.regions_found = ['us', 'uk', 'eu', 'cm', 'jp'].filter(r => size[r] != null);
+  return size;
+}
+
+/**
+ * Cross-check regions by converting each to an approximate foot length in cm
+ * Approximations follow the common Nike/Adidas charts; brand-specific
+ * charts can differ by half a size, hence the tolerance.
+ */
+function checkConsistency(size) {
+  const estimates = [];
+
+  if (size.us_men != null) estimates.push({ region: `US ${size.us_men}`, cm: size.us_men + 18 });
+  if (size.us_women != null) estimates.push({ region: `US W ${size.us_women}`, cm: size.us_women + 16.5 });
+  if (size.us_youth != null) estimates.push({ region: `US ${size.us_youth}Y`, cm: size.us_youth + 18 });
+  // Children's UK sizes run on their own scale
+  if (size.uk != null && size.scale !== 'child') estimates.push({ region: `UK ${size.uk}`, cm: size.uk + 19 });
+  if (size.eu != null) estimates.push({ region: `EU ${size.eu}`, cm: size.eu / 1.5 - 1.5 });
+  if (size.jp != null) estimates.push({ region: `JP ${size.jp}`, cm: size.jp });
+  if (size.cm != null) estimates.push({ region: `CM ${size.cm}`, cm: size.cm });
+
+  if (estimates.length < 2) {
+    return { consistent: null, issues: [] };
+  }
+
+  // Compare against the printed CM when available, else the median estimate
+  const sorted = estimates.map(e => e.cm).sort((a, b) => a - b);
+  const reference = size.cm ?? sorted[Math.floor(sorted.length / 2)];
+
+  const issues = estimates
+    .filter(e => Math.abs(e.cm - reference) > CM_TOLERANCE)
+    .map(e => `${e.region} does not match the other sizes on the tag (≈${e.cm.toFixed(1)} cm vs ${reference.toFixed(1)} cm)`);
+
+  return { consistent: issues.length === 0, issues };
+}
@@ -8,9 +8,15 @@
  * - Puma: 384692-01, 389289-02
  * - Converse: 162050C, M9160C
  * - Vans: VN0A38F7PXP
+ * - Reebok: 100000155
  * - Asics: 1011A792-100
+ *
+ * Several brands share a format (Nike/Jordan, Adidas/Reebok), so every
+ * pattern is scored and the result is a ranked list of candidates.
  */
 
+import { classifyBarcode } from './barcode.js';
+
 const BRAND_PATTERNS = [
   {
     brand: 'Nike',
@@ -27,10 +33,11 @@ const BRAND_PATTERNS = [
   {
     brand: 'Jordan',
     patterns: [
-      // Jordan often starts with specific prefixes
-      /^(CT|CZ|DM|DD|DC|DQ|DR|DO|DN|FQ|FD)[0-9]{4}-[0-9]{3}$/i,
+      // Jordan shares Nike's formats; PREFIX_RULES decide between the two
+      /^[A-Z]{2}[0-9]{4}-[0-9]{3}$/i,
+      /^[0-9]{6}-[0-9]{3}$/,
     ],
-    confidence: 0.90  // Slightly lower because Nike uses same format
+    confidence: 0.50
   },
   {
     brand: 'Adidas',
@@ -100,39 +107,120 @@ const BRAND_PATTERNS = [
       // Reebok: Various formats
       /^[A-Z]{2}[0-9]{4}$/i,
       /^[0-9]{2}-[0-9]{5}$/,
+      // Article numbers since 2022: 100 + 6 digits (100000155)
+      /^100[0-9]{6}$/,
     ],
-    confidence: 0.85
+    confidence: 0.60  // Mostly the same format as Adidas, which keeps the top spot
+  }
+];
+
+/**
+ * Known prefix tables that re-rank brands sharing a SKU format.
+ * A matching rule raises its brand to `score`; `exclusive` rules also cap
+ * every other candidate below it, once all rules have run.
+ */
+const PREFIX_RULES = [
+  {
+    // Style codes known to be Jordan (AJ1 High/Mid/Low, AJ4, AJ11, Travis Scott...)
+    brand: 'Jordan',
+    pattern: /^(555088|554724|553558|575441|308497|408452|130690|378037|136064|CT8527|DH6927|FV5029|DZ5485|DC1788|DM7866|DR5415|FD1437|DO9369|CZ0790)-[0-9]{3}$/i,
+    score: 0.97,
+    exclusive: true
+  },
+  {
+    // Style codes known to be Nike (Dunk, Air Force 1...)
+    brand: 'Nike',
+    pattern: /^(DD1391|DD1503|CW1590|CW2288|DH7561|315122|DV0833|CU1726|DJ6188)-[0-9]{3}$/i,
+    score: 0.97,
+    exclusive: true
+  },
+  {
+    // Letter prefixes Jordan uses heavily, but Nike uses them too
+    brand: 'Jordan',
+    pattern: /^(CT|CZ|DM|DD|DC|DQ|DR|DO|DN|FQ|FD)[0-9]{4}-[0-9]{3}$/i,
+    score: 0.85
+  },
+  {
+    // Yeezy-era Adidas prefixes
+    brand: 'Adidas',
+    pattern: /^(GW|GX|GY|GZ|HP|HQ|HR|HS|HT|ID|IE|IF|IG|IH)[0-9]{4}$/i,
+    score: 0.93,
+    exclusive: true
+  },
+  {
+    // Reebok's own article numbers (2 letters + 4 digits prefixes are shared with Adidas)
+    brand: 'Reebok',
+    pattern: /^100[0-9]{6}$/,
+    score: 0.88
   }
 ];
 
+// Candidates within this score of the top pick make the classification ambiguous
+const AMBIGUITY_MARGIN = 0.1;
+
 /**
- * Classify a SKU and detect the likely brand
+ * Classify a SKU and rank the brands it could belong to
+ * Every brand pattern is checked (not first-match-wins), then PREFIX_RULES
+ * re-rank brands that share a format (Nike/Jordan, Adidas/Reebok).
+ *
  * @param {string} sku - The SKU to classify
- * @returns {{ brand: string, confidence: number, normalized: string }}
+ * @returns {{ brand: string, confidence: number, normalized: string, candidates: Array<{ brand: string, score: number }>, ambiguous: boolean }}
  */
 export function classifySku(sku) {
   if (!sku || typeof sku !== 'string') {
-    return { brand: 'Unknown', confidence: 0, normalized: '' };
+    return { brand: 'Unknown', confidence: 0, normalized: '', candidates: [], ambiguous: false };
   }
 
   // Normalize: uppercase, trim, remove extra spaces
   const normalized = sku.toUpperCase().trim().replace(/\s+/g, '');
-  
-  // Try each brand's patterns
+
+  // Score every brand whose patterns match
+  const scores = new Map();
   for (const { brand, patterns, confidence } of BRAND_PATTERNS) {
-    for (const pattern of patterns) {
-      if (pattern.test(normalized)) {
-        return { brand, confidence, normalized };
+    if (patterns.some(pattern => pattern.test(normalized))) {
+      scores.set(brand, { brand, score: confidence });
+    }
+  }
+
+  // Re-rank with known prefixes
+  const matchedRules = PREFIX_RULES.filter(rule => rule.pattern.test(normalized));
+  for (const rule of matchedRules) {
+    const current = scores.get(rule.brand);
+    scores.set(rule.brand, {
+      brand: rule.brand,
+      score: Math.max(current?.score || 0, rule.score)
+    });
+  }
+
+  // Caps go last, so a later (looser) rule cannot lift a brand back over an exclusive one
+  for (const rule of matchedRules.filter(r => r.exclusive)) {
+    const cap = Math.round((rule.score - 0.15) * 100) / 100;
+    for (const candidate of scores.values()) {
+      if (candidate.brand !== rule.brand) {
+        candidate.score = Math.min(candidate.score, cap);
       }
     }
   }
 
+  const candidates = [...scores.values()].sort((a, b) => b.score - a.score);
+
+  if (candidates.length) {
+    const [top, second] = candidates;
+    return {
+      brand: top.brand,
+      confidence: top.score,
+      normalized,
+      candidates,
+      ambiguous: !!second && top.score - second.score < AMBIGUITY_MARGIN
+    };
+  }
+
   // Generic fallback - if it looks like a product code
   if (/^[A-Z0-9]{5,12}(-[A-Z0-9]{2,4})?$/i.test(normalized)) {
-    return { brand: 'Unknown', confidence: 0.5, normalized };
+    return { brand: 'Unknown', confidence: 0.5, normalized, candidates: [], ambiguous: false };
   }
 
-  return { brand: 'Unknown', confidence: 0, normalized };
+  return { brand: 'Unknown', confidence: 0, normalized, candidates: [], ambiguous: false };
 }
 
 /**
@@ -151,6 +239,9 @@ export function extractSkusFromText(text) {
     const cleaned = line.trim().replace(/[^\w-]/g, '');
     if (cleaned.length < 5 || cleaned.length > 15) continue;
 
+    // Digits printed under a UPC/EAN barcode are not a style code
+    if (classifyBarcode(cleaned).valid) continue;
+
     const classification = classifySku(cleaned);
     if (classification.confidence > 0.3) {
       results.push({
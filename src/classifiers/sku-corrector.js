@@ -0,0 +1,148 @@
+/**
+ * SKU Corrector - Repairs OCR and typing mistakes in SKUs
+ *
+ * Examples:
+ * - DD139I-1OO → DD1391-100 (I/1, O/0 swapped)
+ * - CT8527100  → CT8527-100 (missing hyphen)
+ * - GXI234     → GX1234
+ *
+ * Candidates are built from confusable-character substitutions and
+ * reinserted hyphens, and only kept when they match a brand pattern.
+ * The search is bounded: inputs longer than any SKU format are not
+ * corrected, hyphens only go where a brand format has one, and at most
+ * MAX_CHECKED candidates (fewest substitutions first) are classified.
+ */
+
+import { classifySku } from './sku-classifier.js';
+
+// Characters OCR and typists commonly confuse, in both directions
+const CONFUSABLES = {
+  O: ['0'], '0': ['O', 'D', 'Q'],
+  I: ['1'], '1': ['I', 'L'],
+  L: ['1'],
+  S: ['5'], '5': ['S'],
+  B: ['8'], '8': ['B'],
+  Z: ['2'], '2': ['Z'],
+  G: ['6'], '6': ['G'],
+  Q: ['0'],
+  D: ['0'],
+  T: ['7'], '7': ['T']
+};
+
+// Each edit (substitution or hyphen change) costs this much confidence
+const EDIT_PENALTY = 0.9;
+
+const MAX_SUBSTITUTIONS = 3;
+const MAX_CANDIDATES = 10;
+const MAX_CHECKED = 500;
+
+// Longest SKU format, hyphen included (Asics 1011A7920-100)
+const MAX_SKU_LENGTH = 13;
+
+// Where brand formats put their hyphen: [characters before, characters after]
+// (Nike/Jordan 6-3, Puma 6-2 and 3-5, Asics 8-3 and 9-3, Reebok 2-5)
+const HYPHEN_SPLITS = [[6, 3], [6, 2], [3, 5], [8, 3], [9, 3], [2, 5]];
+
+/**
+ * Build ranked correction candidates for a SKU that does not match any brand pattern
+ *
+ * @param {string} sku
+ * @param {Object} [options]
+ * @param {number} [options.maxCandidates]
+ * @returns {Array<{ sku: string, brand: string, score: number, edits: Array<Object>, penalty: number }>}
+ */
+export function generateCorrections(sku, { maxCandidates = MAX_CANDIDATES } = {}) {
+  if (!sku || typeof sku !== 'string') return [];
+
+  const normalized = sku.toUpperCase().trim().replace(/\s+/g, '');
+  if (normalized.length > MAX_SKU_LENGTH) return [];
+
+  const results = new Map();
+  let checked = 0;
+
+  for (const { sku: candidate, edits } of searchOrder(normalized)) {
+    if (candidate === normalized || results.has(candidate)) continue;
+    if (checked++ >= MAX_CHECKED) break;
+
+    const classification = classifySku(candidate);
+    if (!classification.candidates.length) continue;
+
+    const penalty = Math.pow(EDIT_PENALTY, edits.length);
+
+    results.set(candidate, {
+      sku: candidate,
+      brand: classification.brand,
+      score: Math.round(classification.confidence * penalty * 100) / 100,
+      edits,
+      penalty: Math.round(penalty * 1000) / 1000
+    });
+  }
+
+  return [...results.values()]
+    .sort((a, b) => b.score - a.score || a.edits.length - b.edits.length)
+    .slice(0, maxCandidates);
+}
+
+/**
+ * Every hyphen variant with 0, then 1, 2 and up to MAX_SUBSTITUTIONS
+ * confusable swaps, so the cheapest fixes are checked first
+ */
+function* searchOrder(sku) {
+  const bases = hyphenVariants(sku);
+
+  for (let count = 0; count <= MAX_SUBSTITUTIONS; count++) {
+    for (const base of bases) {
+      for (const variant of substitutionVariants(base.sku, count)) {
+        yield { sku: variant.sku, edits: [...base.edits, ...variant.edits] };
+      }
+    }
+  }
+}
+
+/**
+ * The SKU as-is, with its hyphen removed, and with a hyphen where a brand format has one
+ */
+function hyphenVariants(sku) {
+  const variants = [{ sku, edits: [] }];
+  const bare = sku.replace(/-/g, '');
+
+  if (bare !== sku) {
+    variants.push({ sku: bare, edits: [{ type: 'hyphen_removed' }] });
+  }
+
+  for (const [before, after] of HYPHEN_SPLITS) {
+    if (before + after !== bare.length) continue;
+
+    const withHyphen = `${bare.slice(0, before)}-${bare.slice(before)}`;
+    if (withHyphen === sku) continue;
+    variants.push({
+      sku: withHyphen,
+      edits: [{ type: 'hyphen_inserted', position: before }]
+    });
+  }
+
+  return variants;
+}
+
+/**
+ * Every combination of exactly `count` confusable swaps
+ */
+function* substitutionVariants(sku, count) {
+  function* walk(start, chars, edits) {
+    if (edits.length === count) {
+      yield { sku: chars.join(''), edits };
+      return;
+    }
+
+    for (let index = start; index < chars.length; index++) {
+      const original = chars[index];
+      for (const replacement of CONFUSABLES[original] || []) {
+        const next = [...chars];
+        next[index] = replacement;
+        yield* walk(index + 1, next, [...edits, { type: 'substitution', position: index, from: original, to: replacement }]);
+      }
+    }
+  }
+
+  yield* walk(0, sku.split(''), []);
+}
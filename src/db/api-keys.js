@@ -0,0 +1,170 @@
+/**
+ * API keys
+ * Stored in the cache database, hashed (SHA-256); the plain key is only
+ * shown once, when it is created. Each key has a name, scopes, an optional
+ * per-minute rate limit and an optional daily request quota.
+ *
+ * ADMIN_API_KEY is accepted as a built-in key with every scope and no limits.
+ */
+
+import crypto from 'node:crypto';
+import { getStore } from './cache.js';
+import { safeEqual } from '../utils/auth.js';
+
+export const API_SCOPES = ['resolve', 'scan', 'admin'];
+
+// Usage of ADMIN_API_KEY and of calls without a key is recorded under these ids
+export const ADMIN_KEY_ID = 'admin';
+export const ANONYMOUS_KEY_ID = 'anonymous';
+
+const KEY_PREFIX = 'sr_';
+
+/**
+ * Create a key
+ * @param {Object} options
+ * @param {string} options.name - Who or what uses it, e.g. "apps-script-inventory"
+ * @param {Array<string>} [options.scopes] - Defaults to resolve and scan
+ * @param {number|null} [options.rateLimit] - Requests per minute (null: RATE_LIMIT_PER_MINUTE)
+ * @param {number|null} [options.dailyQuota] - Requests per UTC day (null: unlimited)
+ * @returns {{ key: string, record: Object }} The plain key (not stored) and the stored record
+ */
+export function createApiKey({ name, scopes = ['resolve', 'scan'], rateLimit = null, dailyQuota = null }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    keyHash: hashKey(key),
+    keyPrefix: key.slice(0, KEY_PREFIX.length + 6),
+    scopes: normalizeScopes(scopes),
+    rateLimit,
+    dailyQuota,
+    createdAt: Date.now(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+
+  getStore().saveApiKey(record);
+  return { key, record };
+}
+
+/**
+ * Find the active key matching a presented key
+ * @param {string|null} presented
+ * @returns {Object|null} null when unknown or revoked
+ */
+export function authenticateApiKey(presented) {
+  if (!presented) return null;
+
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (adminKey && safeEqual(presented, adminKey)) {
+    return {
+      id: ADMIN_KEY_ID,
+      name: 'ADMIN_API_KEY',
+      scopes: [...API_SCOPES],
+      rateLimit: null,
+      dailyQuota: null
+    };
+  }
+
+  const record = getStore().findApiKeyByHash(hashKey(presented));
+  return record && !record.revokedAt ? record : null;
+}
+
+/**
+ * @returns {Array<Object>} Every key, revoked ones included
+ */
+export function listApiKeys() {
+  return getStore().listApiKeys();
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getApiKey(id) {
+  return getStore().getApiKey(id);
+}
+
+/**
+ * Change a key's name, scopes or limits
+ * @param {string} id
+ * @param {{ name?: string, scopes?: Array<string>, rateLimit?: number|null, dailyQuota?: number|null }} changes
+ * @returns {Object|null} The updated record, or null if not found
+ */
+export function updateApiKey(id, changes) {
+  const record = getStore().getApiKey(id);
+  if (!record) return null;
+
+  const updated = {
+    ...record,
+    ...Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined))
+  };
+  if (changes.scopes) updated.scopes = normalizeScopes(changes.scopes);
+
+  getStore().saveApiKey(updated);
+  return getStore().getApiKey(id);
+}
+
+/**
+ * Revoke a key; it stays listed (with its usage) but no longer authenticates
+ * @param {string} id
+ * @returns {Object|null} The revoked record, or null if not found
+ */
+export function revokeApiKey(id) {
+  const record = getStore().getApiKey(id);
+  if (!record) return null;
+
+  if (!record.revokedAt) getStore().saveApiKey({ ...record, revokedAt: Date.now() });
+  return getStore().getApiKey(id);
+}
+
+/**
+ * Count a request for a key today
+ * A request that does not fit in what is left of the quota is not counted,
+ * so a large batch that is turned away leaves the rest usable.
+ *
+ * @param {Object} key - From authenticateApiKey(), or { id: ANONYMOUS_KEY_ID }
+ * @param {Object} [options]
+ * @param {number} [options.requests=1] - Quota units the request costs (one per SKU for batches)
+ * @param {number} [options.now]
+ * @returns {{ used: number, quota: number|null, requested: number, exceeded: boolean, resetAt: number }}
+ */
+export function recordApiKeyRequest(key, { requests = 1, now = Date.now() } = {}) {
+  const store = getStore();
+  const day = usageDay(now);
+  const quota = key.dailyQuota ?? null;
+
+  let used = store.recordKeyUsage(key.id, day, now, requests);
+  const exceeded = quota != null && used > quota;
+  if (exceeded) used = store.recordKeyUsage(key.id, day, now, -requests);
+
+  return {
+    used,
+    quota,
+    requested: requests,
+    exceeded,
+    resetAt: nextUtcMidnight(now)
+  };
+}
+
+/**
+ * Usage day key (UTC), e.g. "2024-05-01"
+ * @param {number} [now]
+ * @returns {string}
+ */
+export function usageDay(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+function normalizeScopes(scopes) {
+  return API_SCOPES.filter(scope => scopes.includes(scope));
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
@@ -1,40 +1,421 @@
 /**
- * Simple in-memory cache (no native dependencies)
+ * Resolution cache
+ * Backend is selected with CACHE_BACKEND:
+ * - sqlite (default): file-backed at CACHE_DB_PATH, survives redeploys
+ * - memory: process-local Map, no native dependencies
  */
 
-const cache = new Map();
+import { createMemoryStore } from './stores/memory.js';
+import { createSqliteStore } from './stores/sqlite.js';
+import { counter, gauge } from '../utils/metrics.js';
 
-export function initCache() {
-  console.log('Cache initialized (in-memory)');
+const DEFAULT_DB_PATH = './data/sole-resolver.db';
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Memory store until initCache() picks the configured backend
+let store = createMemoryStore();
+
+const cacheLookups = counter('sole_cache_lookups_total', 'Cache lookups by cache (result, negative, market, upc) and result (hit, miss)', ['cache', 'result']);
+const cacheEvictions = counter('sole_cache_evictions_total', 'Cache entries removed, by reason', ['reason']);
+gauge('sole_cache_entries', 'Entries currently stored, by cache', ['cache'], () => {
+  const { total, misses, upcs } = store.stats(Date.now());
+  return [
+    { labels: { cache: 'result' }, value: total },
+    { labels: { cache: 'negative' }, value: misses },
+    { labels: { cache: 'upc' }, value: upcs }
+  ];
+});
+
+/**
+ * Open the configured cache backend and drop expired entries
+ * Falls back to the in-memory store if SQLite cannot be opened.
+ */
+export async function initCache() {
+  const backend = (process.env.CACHE_BACKEND || 'sqlite').toLowerCase();
+
+  if (backend === 'sqlite') {
+    try {
+      store = await createSqliteStore({
+        filename: process.env.CACHE_DB_PATH || DEFAULT_DB_PATH
+      });
+    } catch (error) {
+      console.error('SQLite cache unavailable, falling back to in-memory:', error.message);
+      store = createMemoryStore();
+    }
+  } else if (backend !== 'memory') {
+    console.warn(`Unknown CACHE_BACKEND "${backend}", using in-memory cache`);
+  }
+
+  const expired = store.deleteOlderThan(Date.now() - getTtlMs());
+  cacheEvictions.inc({ reason: 'expired' }, expired);
+  store.purgeMisses(Date.now() - getMissTtlMs());
+  console.log(`Cache initialized (${store.name}${store.filename ? `: ${store.filename}` : ''}), ${expired} expired entries removed`);
+}
+
+/**
+ * The active backend, for modules keeping their own tables in the same
+ * database (API keys, usage). Call it per operation: initCache() replaces it.
+ * @returns {Object}
+ */
+export function getStore() {
+  return store;
+}
+
+/**
+ * Close the active backend (used on shutdown)
+ */
+export function closeCache() {
+  store.close();
 }
 
 export function getCached(sku) {
   if (!sku) return null;
-  
+
   const normalized = sku.toUpperCase().trim();
-  const entry = cache.get(normalized);
-  
+  const entry = store.get(normalized);
+
   if (entry) {
-    const ttlMs = 30 * 24 * 60 * 60 * 1000; // 30 days
-    if (Date.now() - entry.timestamp < ttlMs) {
+    if (entry.pinned || Date.now() - entry.updatedAt < getTtlMs()) {
+      store.recordHit(normalized);
+      cacheLookups.inc({ cache: 'result', result: 'hit' });
       return { ...entry.data, fromCache: true };
     }
-    cache.delete(normalized);
+    store.delete(normalized);
+    cacheEvictions.inc({ reason: 'expired' });
   }
-  
+
+  cacheLookups.inc({ cache: 'result', result: 'miss' });
   return null;
 }
 
+/**
+ * Check for a live entry without counting a hit
+ * @param {string} sku
+ * @returns {boolean}
+ */
+export function isCached(sku) {
+  if (!sku) return false;
+
+  const entry = store.get(sku.toUpperCase().trim());
+  return !!entry && (entry.pinned || Date.now() - entry.updatedAt < getTtlMs());
+}
+
+/**
+ * Store a resolution
+ * Pinned entries are never overwritten by resolver results.
+ * @returns {boolean} Whether the entry was written
+ */
 export function setCache(sku, data) {
-  if (!sku) return;
-  
+  if (!sku) return false;
+
   const normalized = sku.toUpperCase().trim();
-  cache.set(normalized, {
+  if (store.get(normalized)?.pinned) return false;
+
+  store.deleteMiss(normalized);
+  store.set(normalized, {
     data,
-    timestamp: Date.now()
+    brand: data?.brand || null,
+    source: data?.source || null,
+    confidence: data?.confidence ?? null
+  });
+  return true;
+}
+
+/**
+ * Check for a recent confirmed miss (every source answered "no match")
+ * Misses expire after NEGATIVE_CACHE_TTL_MINUTES; 0 disables negative caching.
+ * @param {string} sku
+ * @returns {boolean}
+ */
+export function isCachedMiss(sku) {
+  if (!sku) return false;
+
+  const normalized = sku.toUpperCase().trim();
+  const miss = store.getMiss(normalized);
+  const live = !!miss && Date.now() - miss.createdAt < getMissTtlMs();
+  if (miss && !live) store.deleteMiss(normalized);
+
+  cacheLookups.inc({ cache: 'negative', result: live ? 'hit' : 'miss' });
+  return live;
+}
+
+/**
+ * Record a confirmed miss
+ * Never call this for upstream errors: the SKU may exist.
+ * @param {string} sku
+ * @returns {boolean} Whether it was recorded (false when negative caching is off)
+ */
+export function setCachedMiss(sku) {
+  if (!sku || getMissTtlMs() === 0) return false;
+  store.setMiss(sku.toUpperCase().trim());
+  return true;
+}
+
+/**
+ * Forget misses: one SKU, or all of them
+ * @param {string} [sku]
+ * @returns {number} Misses removed
+ */
+export function clearCachedMisses(sku) {
+  if (sku) return store.deleteMiss(sku.toUpperCase().trim()) ? 1 : 0;
+  return store.purgeMisses();
+}
+
+/**
+ * Get the market data stored for a SKU
+ * Market data goes stale after MARKET_TTL_HOURS, independently of the
+ * entry's own TTL, since prices move much faster than product metadata.
+ * @param {string} sku
+ * @returns {{ market: Object, updatedAt: number, fresh: boolean, pinned: boolean }|null}
+ */
+export function getCachedMarket(sku) {
+  if (!sku) return null;
+
+  const entry = store.get(sku.toUpperCase().trim());
+  const fresh = !!entry?.market && Date.now() - entry.marketUpdatedAt < getMarketTtlMs();
+  cacheLookups.inc({ cache: 'market', result: fresh ? 'hit' : 'miss' });
+  if (!entry?.market) return null;
+
+  return {
+    market: entry.market,
+    updatedAt: entry.marketUpdatedAt,
+    fresh,
+    pinned: !!entry.pinned
+  };
+}
+
+/**
+ * Store market data for an existing entry (pinned entries included)
+ * @param {string} sku
+ * @param {Object} market
+ * @returns {boolean} Whether the entry exists
+ */
+export function setCachedMarket(sku, market) {
+  if (!sku || !market) return false;
+  return store.setMarket(sku.toUpperCase().trim(), market);
+}
+
+/**
+ * Get the SKU and size a barcode was resolved to
+ * Mappings expire with CACHE_TTL_DAYS, like resolutions.
+ * @param {string} gtin - 13-digit GTIN
+ * @returns {{ sku: string, size: string|null, source: string|null, updatedAt: number }|null}
+ */
+export function getCachedUpc(gtin) {
+  if (!gtin) return null;
+
+  const mapping = store.getUpc(gtin);
+  const live = !!mapping && Date.now() - mapping.updatedAt < getTtlMs();
+  if (mapping && !live) store.deleteUpc(gtin);
+
+  cacheLookups.inc({ cache: 'upc', result: live ? 'hit' : 'miss' });
+  if (!live) return null;
+
+  return { sku: mapping.sku, size: mapping.size, source: mapping.source, updatedAt: mapping.updatedAt };
+}
+
+/**
+ * Remember which SKU and size a barcode stands for
+ * @param {string} gtin - 13-digit GTIN
+ * @param {{ sku: string, size?: string|null, source?: string|null }} mapping
+ */
+export function setCachedUpc(gtin, { sku, size = null, source = null }) {
+  if (!gtin || !sku) return;
+  store.deleteMiss(gtin);
+  store.setUpc(gtin, { sku: sku.toUpperCase().trim(), size, source });
+}
+
+/**
+ * Get a full cache entry (metadata included) without counting a hit
+ * @param {string} sku
+ * @returns {Object|null}
+ */
+export function getCacheEntry(sku) {
+  if (!sku) return null;
+  const entry = store.get(sku.toUpperCase().trim());
+  return entry ? withExpiry(entry) : null;
+}
+
+/**
+ * List/search cache entries
+ * @param {Object} filters
+ * @param {string} [filters.query] - Matches SKU or any cached field
+ * @param {string} [filters.brand]
+ * @param {string} [filters.source]
+ * @param {number} [filters.limit]
+ * @param {number} [filters.offset]
+ * @returns {{ total: number, entries: Array<Object> }}
+ */
+export function listCacheEntries(filters = {}) {
+  const { total, entries } = store.list(filters);
+  return { total, entries: entries.map(withExpiry) };
+}
+
+/**
+ * Delete a single entry (pinned or not)
+ * @param {string} sku
+ * @returns {boolean}
+ */
+export function deleteCacheEntry(sku) {
+  if (!sku) return false;
+  const normalized = sku.toUpperCase().trim();
+  const missed = store.deleteMiss(normalized);
+  const deleted = store.delete(normalized);
+  if (deleted) cacheEvictions.inc({ reason: 'deleted' });
+  return deleted || missed;
+}
+
+/**
+ * Drop unpinned entries, negative cache entries and barcode mappings for
+ * SKUs whose source data changed (e.g. after a catalog import), so the next
+ * lookup re-resolves
+ * @param {Array<string>} skus
+ * @returns {number} Entries removed
+ */
+export function invalidateCacheEntries(skus) {
+  let removed = 0;
+
+  for (const sku of skus) {
+    const normalized = sku.toUpperCase().trim();
+    store.deleteMiss(normalized);
+    store.deleteUpcsForSku(normalized);
+    if (store.get(normalized)?.pinned) continue;
+    if (store.delete(normalized)) removed += 1;
+  }
+
+  cacheEvictions.inc({ reason: 'invalidated' }, removed);
+  return removed;
+}
+
+/**
+ * Delete entries matching brand/source/age filters
+ * Pinned entries are kept unless includePinned is set.
+ * @param {Object} filters
+ * @param {string} [filters.brand]
+ * @param {string} [filters.source]
+ * @param {number} [filters.olderThanDays]
+ * @param {boolean} [filters.includePinned]
+ * @returns {number} Entries removed
+ */
+export function purgeCache({ brand, source, olderThanDays, includePinned = false } = {}) {
+  const olderThan = olderThanDays != null ? Date.now() - olderThanDays * DAY_MS : undefined;
+  const removed = store.purge({ brand, source, olderThan, includePinned });
+  cacheEvictions.inc({ reason: 'purged' }, removed);
+  return removed;
+}
+
+/**
+ * Write a manually corrected entry and pin it
+ * Fields not supplied are kept from the existing entry.
+ * @param {string} sku
+ * @param {Object} data - brand, name, model, colorway, category
+ * @returns {Object} The stored entry
+ */
+export function pinCacheEntry(sku, data) {
+  const normalized = sku.toUpperCase().trim();
+  const existing = store.get(normalized);
+
+  const merged = {
+    ...(existing?.data || {}),
+    ...data,
+    source: 'manual',
+    confidence: 1
+  };
+
+  store.deleteMiss(normalized);
+  store.set(normalized, {
+    data: merged,
+    brand: merged.brand || null,
+    source: 'manual',
+    confidence: 1,
+    pinned: true
   });
+
+  return getCacheEntry(normalized);
+}
+
+/**
+ * Pin or unpin an existing entry without changing its data
+ * @param {string} sku
+ * @param {boolean} pinned
+ * @returns {boolean} Whether the entry exists
+ */
+export function setCachePinned(sku, pinned) {
+  if (!sku) return false;
+  return store.setPinned(sku.toUpperCase().trim(), pinned);
 }
 
+/**
+ * Cache statistics
+ * recentHits counts entries read in the last 24 hours; misses counts
+ * negative cache entries (including expired ones not yet cleaned up);
+ * upcs counts barcode → SKU mappings
+ */
 export function getCacheStats() {
-  return { total: cache.size, recentHits: 0 };
+  const { total, totalHits, recentHits, pinned, misses, upcs } = store.stats(Date.now() - DAY_MS);
+  return {
+    backend: store.name,
+    persistent: store.persistent,
+    total,
+    pinned,
+    totalHits,
+    recentHits,
+    misses,
+    upcs
+  };
+}
+
+/**
+ * Backend status for readiness checks
+ * `fallback` is set when SQLite was configured but the in-memory store is in use.
+ * @returns {{ ok: boolean, backend: string, persistent: boolean, fallback: boolean, entries?: number, error?: string }}
+ */
+export function getCacheHealth() {
+  const configured = (process.env.CACHE_BACKEND || 'sqlite').toLowerCase();
+  const status = {
+    backend: store.name,
+    persistent: store.persistent,
+    fallback: configured === 'sqlite' && store.name !== 'sqlite'
+  };
+
+  try {
+    return { ok: true, ...status, entries: store.stats(Date.now()).total };
+  } catch (error) {
+    return { ok: false, ...status, error: error.message };
+  }
+}
+
+/**
+ * Attach the expiry time (null for pinned entries)
+ */
+function withExpiry(entry) {
+  return {
+    ...entry,
+    expiresAt: entry.pinned ? null : entry.updatedAt + getTtlMs()
+  };
+}
+
+/**
+ * Negative cache TTL from NEGATIVE_CACHE_TTL_MINUTES (default 60, 0 disables)
+ */
+function getMissTtlMs() {
+  const minutes = parseFloat(process.env.NEGATIVE_CACHE_TTL_MINUTES);
+  return (Number.isFinite(minutes) && minutes >= 0 ? minutes : 60) * 60 * 1000;
+}
+
+/**
+ * Market data TTL from MARKET_TTL_HOURS (default 6 hours)
+ */
+function getMarketTtlMs() {
+  const hours = parseFloat(process.env.MARKET_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : 6) * HOUR_MS;
+}
+
+/**
+ * TTL from CACHE_TTL_DAYS (default 30 days)
+ */
+function getTtlMs() {
+  const days = parseFloat(process.env.CACHE_TTL_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : 30) * DAY_MS;
 }
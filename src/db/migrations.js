@@ -0,0 +1,156 @@
+/**
+ * SQLite schema migrations
+ * Each migration runs once, tracked through PRAGMA user_version.
+ * Append new migrations to the end; never edit one that has shipped.
+ */
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create cache_entries table',
+    up: `
+      CREATE TABLE IF NOT EXISTS cache_entries (
+        sku TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        brand TEXT,
+        source TEXT,
+        confidence REAL,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        hit_count INTEGER NOT NULL DEFAULT 0,
+        last_accessed_at INTEGER
+      );
+      CREATE INDEX IF NOT EXISTS idx_cache_entries_updated_at ON cache_entries (updated_at);
+      CREATE INDEX IF NOT EXISTS idx_cache_entries_last_accessed_at ON cache_entries (last_accessed_at);
+    `
+  },
+  {
+    version: 2,
+    description: 'Add pinned flag and brand/source indexes for admin queries',
+    up: `
+      ALTER TABLE cache_entries ADD COLUMN pinned INTEGER NOT NULL DEFAULT 0;
+      CREATE INDEX IF NOT EXISTS idx_cache_entries_brand ON cache_entries (brand);
+      CREATE INDEX IF NOT EXISTS idx_cache_entries_source ON cache_entries (source);
+    `
+  },
+  {
+    version: 3,
+    description: 'Add market data with its own update time',
+    up: `
+      ALTER TABLE cache_entries ADD COLUMN market TEXT;
+      ALTER TABLE cache_entries ADD COLUMN market_updated_at INTEGER;
+    `
+  },
+  {
+    version: 4,
+    description: 'Create cache_misses table for negative caching',
+    up: `
+      CREATE TABLE IF NOT EXISTS cache_misses (
+        sku TEXT PRIMARY KEY,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_cache_misses_created_at ON cache_misses (created_at);
+    `
+  },
+  {
+    version: 5,
+    description: 'Create api_keys and api_key_usage tables',
+    up: `
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        key_prefix TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        rate_limit INTEGER,
+        daily_quota INTEGER,
+        created_at INTEGER NOT NULL,
+        last_used_at INTEGER,
+        revoked_at INTEGER
+      );
+      CREATE TABLE IF NOT EXISTS api_key_usage (
+        key_id TEXT NOT NULL,
+        day TEXT NOT NULL,
+        requests INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (key_id, day)
+      );
+    `
+  },
+  {
+    version: 6,
+    description: 'Usage counters per API key and day',
+    up: `
+      CREATE TABLE IF NOT EXISTS usage_counts (
+        key_id TEXT NOT NULL,
+        day TEXT NOT NULL,
+        counter TEXT NOT NULL,
+        count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (key_id, day, counter)
+      );
+    `
+  },
+  {
+    version: 7,
+    description: 'Create jobs table for async scans and batches',
+    up: `
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        status TEXT NOT NULL,
+        key_id TEXT,
+        input TEXT,
+        result TEXT,
+        error TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        callback_url TEXT,
+        webhook_status TEXT,
+        webhook_attempts INTEGER NOT NULL DEFAULT 0,
+        webhook_error TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        completed_at INTEGER,
+        expires_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs (status);
+      CREATE INDEX IF NOT EXISTS idx_jobs_expires_at ON jobs (expires_at);
+    `
+  },
+  {
+    version: 8,
+    description: 'Create upc_mappings table for barcode lookups',
+    up: `
+      CREATE TABLE IF NOT EXISTS upc_mappings (
+        gtin TEXT PRIMARY KEY,
+        sku TEXT NOT NULL,
+        size TEXT,
+        source TEXT,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_upc_mappings_sku ON upc_mappings (sku);
+    `
+  }
+];
+
+/**
+ * Apply any migrations newer than the database's current version
+ * @param {import('better-sqlite3').Database} db
+ * @returns {number} The schema version after migrating
+ */
+export function runMigrations(db) {
+  const current = db.pragma('user_version', { simple: true });
+
+  const pending = MIGRATIONS
+    .filter(m => m.version > current)
+    .sort((a, b) => a.version - b.version);
+
+  for (const migration of pending) {
+    db.transaction(() => {
+      db.exec(migration.up);
+      db.pragma(`user_version = ${migration.version}`);
+    })();
+    console.log(`Cache migration ${migration.version} applied: ${migration.description}`);
+  }
+
+  return pending.length ? pending[pending.length - 1].version : current;
+}
@@ -0,0 +1,254 @@
+/**
+ * In-memory cache store (no native dependencies)
+ * Process-local: everything is lost on restart.
+ */
+
+/**
+ * Create a Map-backed cache store
+ * @returns {Object}
+ */
+export function createMemoryStore() {
+  const entries = new Map();
+  const misses = new Map();
+  const apiKeys = new Map();
+  const keyUsage = new Map();
+  const usageCounts = new Map();
+  const jobs = new Map();
+  const upcs = new Map();
+
+  return {
+    name: 'memory',
+    persistent: false,
+
+    get(sku) {
+      const entry = entries.get(sku);
+      return entry ? { ...entry } : null;
+    },
+
+    set(sku, { data, brand = null, source = null, confidence = null, pinned = false }, now = Date.now()) {
+      const existing = entries.get(sku);
+      entries.set(sku, {
+        sku,
+        data,
+        brand,
+        source,
+        confidence,
+        pinned: !!pinned,
+        createdAt: existing?.createdAt ?? now,
+        updatedAt: now,
+        hitCount: existing?.hitCount ?? 0,
+        lastAccessedAt: existing?.lastAccessedAt ?? null,
+        market: existing?.market ?? null,
+        marketUpdatedAt: existing?.marketUpdatedAt ?? null
+      });
+    },
+
+    setPinned(sku, pinned) {
+      const entry = entries.get(sku);
+      if (!entry) return false;
+      entry.pinned = !!pinned;
+      return true;
+    },
+
+    setMarket(sku, market, now = Date.now()) {
+      const entry = entries.get(sku);
+      if (!entry) return false;
+      entry.market = market;
+      entry.marketUpdatedAt = now;
+      return true;
+    },
+
+    recordHit(sku, now = Date.now()) {
+      const entry = entries.get(sku);
+      if (entry) {
+        entry.hitCount += 1;
+        entry.lastAccessedAt = now;
+      }
+    },
+
+    delete(sku) {
+      return entries.delete(sku);
+    },
+
+    deleteOlderThan(cutoff) {
+      return this.purge({ olderThan: cutoff });
+    },
+
+    list({ query, brand, source, limit = 50, offset = 0 } = {}) {
+      const matching = [...entries.values()]
+        .filter(entry => matchesFilters(entry, { brand, source }))
+        .filter(entry => {
+          if (!query) return true;
+          const needle = query.toUpperCase();
+          return entry.sku.includes(needle) ||
+            JSON.stringify(entry.data).toUpperCase().includes(needle);
+        })
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+
+      return {
+        total: matching.length,
+        entries: matching.slice(offset, offset + limit).map(entry => ({ ...entry }))
+      };
+    },
+
+    purge({ brand, source, olderThan, includePinned = false } = {}) {
+      let removed = 0;
+      for (const [sku, entry] of entries) {
+        if (entry.pinned && !includePinned) continue;
+        if (!matchesFilters(entry, { brand, source, olderThan })) continue;
+        entries.delete(sku);
+        removed++;
+      }
+      return removed;
+    },
+
+    getMiss(sku) {
+      return misses.has(sku) ? { sku, createdAt: misses.get(sku) } : null;
+    },
+
+    setMiss(sku, now = Date.now()) {
+      misses.set(sku, now);
+    },
+
+    deleteMiss(sku) {
+      return misses.delete(sku);
+    },
+
+    purgeMisses(olderThan) {
+      let removed = 0;
+      for (const [sku, createdAt] of misses) {
+        if (olderThan != null && createdAt >= olderThan) continue;
+        misses.delete(sku);
+        removed++;
+      }
+      return removed;
+    },
+
+    getUpc(gtin) {
+      const mapping = upcs.get(gtin);
+      return mapping ? { ...mapping } : null;
+    },
+
+    setUpc(gtin, { sku, size = null, source = null }, now = Date.now()) {
+      const existing = upcs.get(gtin);
+      upcs.set(gtin, { gtin, sku, size, source, createdAt: existing?.createdAt ?? now, updatedAt: now });
+    },
+
+    deleteUpc(gtin) {
+      return upcs.delete(gtin);
+    },
+
+    deleteUpcsForSku(sku) {
+      let removed = 0;
+      for (const [gtin, mapping] of upcs) {
+        if (mapping.sku !== sku) continue;
+        upcs.delete(gtin);
+        removed++;
+      }
+      return removed;
+    },
+
+    stats(since) {
+      let totalHits = 0;
+      let recentHits = 0;
+      let pinned = 0;
+      for (const entry of entries.values()) {
+        totalHits += entry.hitCount;
+        if (entry.lastAccessedAt && entry.lastAccessedAt >= since) recentHits++;
+        if (entry.pinned) pinned++;
+      }
+      return { total: entries.size, totalHits, recentHits, pinned, misses: misses.size, upcs: upcs.size };
+    },
+
+    getApiKey(id) {
+      const key = apiKeys.get(id);
+      return key ? { ...key } : null;
+    },
+
+    findApiKeyByHash(keyHash) {
+      const key = [...apiKeys.values()].find(k => k.keyHash === keyHash);
+      return key ? { ...key } : null;
+    },
+
+    listApiKeys() {
+      return [...apiKeys.values()]
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(key => ({ ...key }));
+    },
+
+    saveApiKey(key) {
+      const existing = apiKeys.get(key.id);
+      apiKeys.set(key.id, { ...key, lastUsedAt: existing?.lastUsedAt ?? key.lastUsedAt ?? null });
+    },
+
+    recordKeyUsage(keyId, day, now = Date.now(), requests = 1) {
+      const key = apiKeys.get(keyId);
+      if (key) key.lastUsedAt = now;
+
+      const usageKey = `${keyId}:${day}`;
+      const total = (keyUsage.get(usageKey) || 0) + requests;
+      keyUsage.set(usageKey, total);
+      return total;
+    },
+
+    addUsage(keyId, day, counts) {
+      for (const [counter, count] of Object.entries(counts)) {
+        if (!count) continue;
+        const usageKey = `${keyId}:${day}:${counter}`;
+        const row = usageCounts.get(usageKey) || { keyId, day, counter, count: 0 };
+        usageCounts.set(usageKey, { ...row, count: row.count + count });
+      }
+    },
+
+    listUsage({ from, to, keyId = null }) {
+      const requests = [...keyUsage].map(([usageKey, count]) => {
+        const [rowKeyId, day] = usageKey.split(':');
+        return { keyId: rowKeyId, day, counter: 'requests', count };
+      });
+
+      return [...requests, ...usageCounts.values()]
+        .filter(row => row.day >= from && row.day <= to && (!keyId || row.keyId === keyId))
+        .map(row => ({ ...row }))
+        .sort((a, b) => a.keyId.localeCompare(b.keyId) || a.day.localeCompare(b.day));
+    },
+
+    getJob(id) {
+      const job = jobs.get(id);
+      return job ? structuredClone(job) : null;
+    },
+
+    saveJob(job) {
+      jobs.set(job.id, structuredClone(job));
+    },
+
+    listUnfinishedJobs() {
+      return [...jobs.values()]
+        .filter(job => job.status === 'queued' || job.status === 'running' || job.webhookStatus === 'pending')
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(job => structuredClone(job));
+    },
+
+    deleteExpiredJobs(now = Date.now()) {
+      let deleted = 0;
+      for (const [id, job] of jobs) {
+        if (job.expiresAt < now && job.status !== 'queued' && job.status !== 'running') {
+          jobs.delete(id);
+          deleted++;
+        }
+      }
+      return deleted;
+    },
+
+    close() {}
+  };
+}
+
+/**
+ * Check an entry against brand/source/age filters (all optional)
+ */
+function matchesFilters(entry, { brand, source, olderThan }) {
+  if (brand && entry.brand?.toUpperCase() !== brand.toUpperCase()) return false;
+  if (source && entry.source !== source) return false;
+  if (olderThan && entry.updatedAt >= olderThan) return false;
+  return true;
+}
@@ -0,0 +1,434 @@
+/**
+ * SQLite cache store (better-sqlite3)
+ * File-backed so cached resolutions survive restarts and redeploys.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { runMigrations } from '../migrations.js';
+
+/**
+ * Create a SQLite-backed cache store
+ * better-sqlite3 is loaded lazily so the memory backend works without the native module.
+ *
+ * @param {Object} options
+ * @param {string} options.filename - Database file path (or ':memory:')
+ * @returns {Promise<Object>}
+ */
+export async function createSqliteStore({ filename }) {
+  const { default: Database } = await import('better-sqlite3');
+
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  const schemaVersion = runMigrations(db);
+
+  const statements = {
+    get: db.prepare('SELECT * FROM cache_entries WHERE sku = ?'),
+    upsert: db.prepare(`
+      INSERT INTO cache_entries (sku, data, brand, source, confidence, pinned, created_at, updated_at)
+      VALUES (@sku, @data, @brand, @source, @confidence, @pinned, @now, @now)
+      ON CONFLICT (sku) DO UPDATE SET
+        data = excluded.data,
+        brand = excluded.brand,
+        source = excluded.source,
+        confidence = excluded.confidence,
+        pinned = excluded.pinned,
+        updated_at = excluded.updated_at
+    `),
+    setPinned: db.prepare('UPDATE cache_entries SET pinned = ? WHERE sku = ?'),
+    setMarket: db.prepare('UPDATE cache_entries SET market = ?, market_updated_at = ? WHERE sku = ?'),
+    recordHit: db.prepare(`
+      UPDATE cache_entries
+      SET hit_count = hit_count + 1, last_accessed_at = ?
+      WHERE sku = ?
+    `),
+    delete: db.prepare('DELETE FROM cache_entries WHERE sku = ?'),
+    getMiss: db.prepare('SELECT sku, created_at FROM cache_misses WHERE sku = ?'),
+    setMiss: db.prepare(`
+      INSERT INTO cache_misses (sku, created_at) VALUES (?, ?)
+      ON CONFLICT (sku) DO UPDATE SET created_at = excluded.created_at
+    `),
+    deleteMiss: db.prepare('DELETE FROM cache_misses WHERE sku = ?'),
+    getUpc: db.prepare('SELECT * FROM upc_mappings WHERE gtin = ?'),
+    setUpc: db.prepare(`
+      INSERT INTO upc_mappings (gtin, sku, size, source, created_at, updated_at)
+      VALUES (@gtin, @sku, @size, @source, @now, @now)
+      ON CONFLICT (gtin) DO UPDATE SET
+        sku = excluded.sku,
+        size = excluded.size,
+        source = excluded.source,
+        updated_at = excluded.updated_at
+    `),
+    deleteUpc: db.prepare('DELETE FROM upc_mappings WHERE gtin = ?'),
+    deleteUpcsForSku: db.prepare('DELETE FROM upc_mappings WHERE sku = ?'),
+    getApiKey: db.prepare('SELECT * FROM api_keys WHERE id = ?'),
+    findApiKey: db.prepare('SELECT * FROM api_keys WHERE key_hash = ?'),
+    listApiKeys: db.prepare('SELECT * FROM api_keys ORDER BY created_at'),
+    saveApiKey: db.prepare(`
+      INSERT INTO api_keys (id, name, key_hash, key_prefix, scopes, rate_limit, daily_quota, created_at, last_used_at, revoked_at)
+      VALUES (@id, @name, @keyHash, @keyPrefix, @scopes, @rateLimit, @dailyQuota, @createdAt, @lastUsedAt, @revokedAt)
+      ON CONFLICT (id) DO UPDATE SET
+        name = excluded.name,
+        scopes = excluded.scopes,
+        rate_limit = excluded.rate_limit,
+        daily_quota = excluded.daily_quota,
+        revoked_at = excluded.revoked_at
+    `),
+    touchApiKey: db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?'),
+    incrementUsage: db.prepare(`
+      INSERT INTO api_key_usage (key_id, day, requests) VALUES (?, ?, ?)
+      ON CONFLICT (key_id, day) DO UPDATE SET requests = requests + excluded.requests
+      RETURNING requests
+    `),
+    getJob: db.prepare('SELECT * FROM jobs WHERE id = ?'),
+    saveJob: db.prepare(`
+      INSERT INTO jobs (id, type, status, key_id, input, result, error, attempts, callback_url,
+        webhook_status, webhook_attempts, webhook_error, created_at, updated_at, completed_at, expires_at)
+      VALUES (@id, @type, @status, @keyId, @input, @result, @error, @attempts, @callbackUrl,
+        @webhookStatus, @webhookAttempts, @webhookError, @createdAt, @updatedAt, @completedAt, @expiresAt)
+      ON CONFLICT (id) DO UPDATE SET
+        status = excluded.status,
+        input = excluded.input,
+        result = excluded.result,
+        error = excluded.error,
+        attempts = excluded.attempts,
+        webhook_status = excluded.webhook_status,
+        webhook_attempts = excluded.webhook_attempts,
+        webhook_error = excluded.webhook_error,
+        updated_at = excluded.updated_at,
+        completed_at = excluded.completed_at
+    `),
+    listUnfinishedJobs: db.prepare(`
+      SELECT * FROM jobs
+      WHERE status IN ('queued', 'running') OR webhook_status = 'pending'
+      ORDER BY created_at
+    `),
+    deleteExpiredJobs: db.prepare("DELETE FROM jobs WHERE expires_at < ? AND status NOT IN ('queued', 'running')"),
+    addUsage: db.prepare(`
+      INSERT INTO usage_counts (key_id, day, counter, count) VALUES (?, ?, ?, ?)
+      ON CONFLICT (key_id, day, counter) DO UPDATE SET count = count + excluded.count
+    `),
+    stats: db.prepare(`
+      SELECT
+        COUNT(*) AS total,
+        COALESCE(SUM(hit_count), 0) AS totalHits,
+        COALESCE(SUM(CASE WHEN last_accessed_at >= ? THEN 1 ELSE 0 END), 0) AS recentHits,
+        COALESCE(SUM(pinned), 0) AS pinned,
+        (SELECT COUNT(*) FROM cache_misses) AS misses,
+        (SELECT COUNT(*) FROM upc_mappings) AS upcs
+      FROM cache_entries
+    `)
+  };
+
+  return {
+    name: 'sqlite',
+    persistent: filename !== ':memory:',
+    filename,
+    schemaVersion,
+    db,
+
+    get(sku) {
+      return rowToEntry(statements.get.get(sku));
+    },
+
+    set(sku, { data, brand = null, source = null, confidence = null, pinned = false }, now = Date.now()) {
+      statements.upsert.run({
+        sku,
+        data: JSON.stringify(data),
+        brand,
+        source,
+        confidence,
+        pinned: pinned ? 1 : 0,
+        now
+      });
+    },
+
+    setPinned(sku, pinned) {
+      return statements.setPinned.run(pinned ? 1 : 0, sku).changes > 0;
+    },
+
+    setMarket(sku, market, now = Date.now()) {
+      return statements.setMarket.run(JSON.stringify(market), now, sku).changes > 0;
+    },
+
+    recordHit(sku, now = Date.now()) {
+      statements.recordHit.run(now, sku);
+    },
+
+    delete(sku) {
+      return statements.delete.run(sku).changes > 0;
+    },
+
+    deleteOlderThan(cutoff) {
+      return this.purge({ olderThan: cutoff });
+    },
+
+    list({ query, brand, source, limit = 50, offset = 0 } = {}) {
+      const { clause, params } = buildWhere({ brand, source });
+      const conditions = clause ? [clause] : [];
+
+      if (query) {
+        // Literal substring match, like the memory store: % and _ in the query are not wildcards
+        conditions.push(`(sku LIKE @query ESCAPE '\\' OR data LIKE @query ESCAPE '\\')`);
+        params.query = `%${escapeLike(query)}%`;
+      }
+
+      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+      const { total } = db.prepare(`SELECT COUNT(*) AS total FROM cache_entries ${where}`).get(params);
+      const rows = db.prepare(`
+        SELECT * FROM cache_entries ${where}
+        ORDER BY updated_at DESC
+        LIMIT @limit OFFSET @offset
+      `).all({ ...params, limit, offset });
+
+      return { total, entries: rows.map(rowToEntry) };
+    },
+
+    purge({ brand, source, olderThan, includePinned = false } = {}) {
+      const { clause, params } = buildWhere({ brand, source, olderThan });
+      const conditions = clause ? [clause] : [];
+      if (!includePinned) conditions.push('pinned = 0');
+
+      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+      return db.prepare(`DELETE FROM cache_entries ${where}`).run(params).changes;
+    },
+
+    getMiss(sku) {
+      const row = statements.getMiss.get(sku);
+      return row ? { sku: row.sku, createdAt: row.created_at } : null;
+    },
+
+    setMiss(sku, now = Date.now()) {
+      statements.setMiss.run(sku, now);
+    },
+
+    deleteMiss(sku) {
+      return statements.deleteMiss.run(sku).changes > 0;
+    },
+
+    purgeMisses(olderThan) {
+      if (olderThan == null) return db.prepare('DELETE FROM cache_misses').run().changes;
+      return db.prepare('DELETE FROM cache_misses WHERE created_at < ?').run(olderThan).changes;
+    },
+
+    /**
+     * Barcode → SKU + size mapping
+     * @returns {{ gtin: string, sku: string, size: string|null, source: string|null, createdAt: number, updatedAt: number }|null}
+     */
+    getUpc(gtin) {
+      const row = statements.getUpc.get(gtin);
+      return row ? {
+        gtin: row.gtin,
+        sku: row.sku,
+        size: row.size,
+        source: row.source,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      } : null;
+    },
+
+    setUpc(gtin, { sku, size = null, source = null }, now = Date.now()) {
+      statements.setUpc.run({ gtin, sku, size, source, now });
+    },
+
+    deleteUpc(gtin) {
+      return statements.deleteUpc.run(gtin).changes > 0;
+    },
+
+    /**
+     * @returns {number} Mappings removed
+     */
+    deleteUpcsForSku(sku) {
+      return statements.deleteUpcsForSku.run(sku).changes;
+    },
+
+    stats(since) {
+      return statements.stats.get(since);
+    },
+
+    getApiKey(id) {
+      return rowToApiKey(statements.getApiKey.get(id));
+    },
+
+    findApiKeyByHash(keyHash) {
+      return rowToApiKey(statements.findApiKey.get(keyHash));
+    },
+
+    listApiKeys() {
+      return statements.listApiKeys.all().map(rowToApiKey);
+    },
+
+    saveApiKey(key) {
+      statements.saveApiKey.run({ ...key, scopes: JSON.stringify(key.scopes) });
+    },
+
+    /**
+     * Count a request against a key's day and return the day's total
+     */
+    recordKeyUsage(keyId, day, now = Date.now(), requests = 1) {
+      statements.touchApiKey.run(now, keyId);
+      return statements.incrementUsage.get(keyId, day, requests).requests;
+    },
+
+    /**
+     * Add to a key's usage counters for a day
+     * @param {Object<string, number>} counts - e.g. { lookups: 1, 'upstream:kicksdb': 1 }
+     */
+    addUsage(keyId, day, counts) {
+      db.transaction(() => {
+        for (const [counter, count] of Object.entries(counts)) {
+          if (count) statements.addUsage.run(keyId, day, counter, count);
+        }
+      })();
+    },
+
+    /**
+     * Usage counters between two days (inclusive), requests included
+     * @returns {Array<{ keyId: string, day: string, counter: string, count: number }>}
+     */
+    listUsage({ from, to, keyId = null }) {
+      const keyFilter = keyId ? 'AND key_id = @keyId' : '';
+      return db.prepare(`
+        SELECT key_id AS keyId, day, 'requests' AS counter, requests AS count
+          FROM api_key_usage WHERE day BETWEEN @from AND @to ${keyFilter}
+        UNION ALL
+        SELECT key_id AS keyId, day, counter, count
+          FROM usage_counts WHERE day BETWEEN @from AND @to ${keyFilter}
+        ORDER BY keyId, day
+      `).all({ from, to, keyId });
+    },
+
+    getJob(id) {
+      return rowToJob(statements.getJob.get(id));
+    },
+
+    saveJob(job) {
+      statements.saveJob.run({
+        ...job,
+        input: job.input == null ? null : JSON.stringify(job.input),
+        result: job.result == null ? null : JSON.stringify(job.result)
+      });
+    },
+
+    /**
+     * Jobs still to run, or whose webhook is still to be delivered
+     */
+    listUnfinishedJobs() {
+      return statements.listUnfinishedJobs.all().map(rowToJob);
+    },
+
+    /**
+     * Delete finished jobs past their expiry
+     * @returns {number} Jobs deleted
+     */
+    deleteExpiredJobs(now = Date.now()) {
+      return statements.deleteExpiredJobs.run(now).changes;
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+/**
+ * Map a cache_entries row to the store entry shape
+ */
+function rowToEntry(row) {
+  if (!row) return null;
+
+  return {
+    sku: row.sku,
+    data: JSON.parse(row.data),
+    brand: row.brand,
+    source: row.source,
+    confidence: row.confidence,
+    pinned: !!row.pinned,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    hitCount: row.hit_count,
+    lastAccessedAt: row.last_accessed_at,
+    market: row.market ? JSON.parse(row.market) : null,
+    marketUpdatedAt: row.market_updated_at ?? null
+  };
+}
+
+/**
+ * Map an api_keys row to the store key shape
+ */
+function rowToApiKey(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    name: row.name,
+    keyHash: row.key_hash,
+    keyPrefix: row.key_prefix,
+    scopes: JSON.parse(row.scopes),
+    rateLimit: row.rate_limit,
+    dailyQuota: row.daily_quota,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+/**
+ * Map a jobs row to the store job shape
+ */
+function rowToJob(row) {
+  if (!row) return null;
+
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    keyId: row.key_id,
+    input: row.input ? JSON.parse(row.input) : null,
+    result: row.result ? JSON.parse(row.result) : null,
+    error: row.error,
+    attempts: row.attempts,
+    callbackUrl: row.callback_url,
+    webhookStatus: row.webhook_status,
+    webhookAttempts: row.webhook_attempts,
+    webhookError: row.webhook_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at,
+    expiresAt: row.expires_at
+  };
+}
+
+/**
+ * Escape LIKE wildcards (and the escape character itself) for ESCAPE '\'
+ */
+function escapeLike(text) {
+  return text.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Build a WHERE clause for brand/source/age filters (all optional)
+ */
+function buildWhere({ brand, source, olderThan }) {
+  const conditions = [];
+  const params = {};
+
+  if (brand) {
+    conditions.push('brand = @brand COLLATE NOCASE');
+    params.brand = brand;
+  }
+  if (source) {
+    conditions.push('source = @source');
+    params.source = source;
+  }
+  if (olderThan) {
+    conditions.push('updated_at < @olderThan');
+    params.olderThan = olderThan;
+  }
+
+  return { clause: conditions.join(' AND '), params };
+}
@@ -6,7 +6,18 @@ import dotenv from 'dotenv';
 import healthRoutes from './routes/health.js';
 import resolveRoutes from './routes/resolve.js';
 import ocrRoutes from './routes/ocr.js';
-import { initCache } from './db/cache.js';
+import adminRoutes from './routes/admin.js';
+import sizeRoutes from './routes/sizes.js';
+import searchRoutes from './routes/search.js';
+import metricsRoutes from './routes/metrics.js';
+import jobRoutes from './routes/jobs.js';
+import { initCache, closeCache } from './db/cache.js';
+import { initOcr, closeOcr } from './services/ocr.js';
+import { closeBarcode } from './services/barcode.js';
+import { initJobs, closeJobs } from './services/jobs.js';
+import { counter, histogram } from './utils/metrics.js';
+import { identifyApiKey, isApiKeyRequired } from './utils/auth.js';
+import { ADMIN_KEY_ID } from './db/api-keys.js';
 
 dotenv.config();
 
@@ -14,20 +25,52 @@ const fastify = Fastify({
   logger: true  // Simple logging, no pino-pretty
 });
 
+// Identify the caller's API key first: rate limits are per key
+fastify.decorateRequest('apiKey', null);
+fastify.decorateRequest('apiKeyInvalid', false);
+fastify.addHook('onRequest', identifyApiKey);
+
 // Plugins
 await fastify.register(cors, { origin: true });
 await fastify.register(rateLimit, {
-  max: 100,
+  // Keyed callers get their own bucket (and limit); anonymous ones share one per IP
+  keyGenerator: (request) => (request.apiKey ? `key:${request.apiKey.id}` : request.ip),
+  // ADMIN_API_KEY has no limits
+  allowList: (request) => request.apiKey?.id === ADMIN_KEY_ID,
+  max: (request) => request.apiKey?.rateLimit ?? getDefaultRateLimit(),
   timeWindow: '1 minute'
 });
 
+// Request metrics, labelled by route pattern (not raw URL) to keep cardinality bounded
+const httpRequests = counter('sole_http_requests_total', 'HTTP requests by method, route and status', ['method', 'route', 'status']);
+const httpDuration = histogram('sole_http_request_duration_seconds', 'HTTP request duration by route', ['method', 'route']);
+fastify.addHook('onResponse', async (request, reply) => {
+  const route = request.routeOptions.url || 'unmatched';
+  httpRequests.inc({ method: request.method, route, status: reply.statusCode });
+  httpDuration.observe({ method: request.method, route }, reply.elapsedTime / 1000);
+});
+
 // Initialize cache
-initCache();
+await initCache();
+if (!isApiKeyRequired()) {
+  fastify.log.warn('REQUIRE_API_KEY=false: resolve and scan routes accept anonymous requests');
+}
+initJobs();
+initOcr();
+fastify.addHook('onClose', async () => closeJobs());
+fastify.addHook('onClose', async () => closeCache());
+fastify.addHook('onClose', async () => closeOcr());
+fastify.addHook('onClose', async () => closeBarcode());
 
 // Routes
 await fastify.register(healthRoutes);
 await fastify.register(resolveRoutes);
 await fastify.register(ocrRoutes);
+await fastify.register(searchRoutes);
+await fastify.register(sizeRoutes);
+await fastify.register(adminRoutes);
+await fastify.register(metricsRoutes);
+await fastify.register(jobRoutes);
 
 // Error handler
 fastify.setErrorHandler((error, request, reply) => {
@@ -51,3 +94,12 @@ const start = async () => {
 };
 
 start();
+
+/**
+ * Requests per minute for anonymous callers and keys without their own limit,
+ * from RATE_LIMIT_PER_MINUTE (default 100)
+ */
+function getDefaultRateLimit() {
+  const limit = parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10);
+  return Number.isInteger(limit) && limit > 0 ? limit : 100;
+}
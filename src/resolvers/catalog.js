@@ -0,0 +1,75 @@
+/**
+ * Local Catalog Resolver
+ * Answers from the catalog file before any paid API is called; works offline
+ */
+
+import { findCatalogEntry, findCatalogEntryByUpc, searchCatalog, getCatalogSize } from '../services/catalog.js';
+
+/**
+ * Registry definition for the local catalog
+ * Enabled whenever the catalog has products
+ */
+export const catalogResolver = {
+  name: 'catalog',
+  priority: 5,
+  brands: ['*'],
+  timeoutMs: 1000,
+  optional: true,
+  setup: 'Import products with npm run catalog:import',
+  isEnabled: () => getCatalogSize() > 0,
+  resolve: async (sku) => resolveWithCatalog(sku),
+  resolveUpc: async (gtin) => resolveUpcWithCatalog(gtin),
+  search: async (query, { limit } = {}) => searchCatalog(query, { limit }).map(entry => ({
+    ...mapCatalogEntry(entry),
+    exactMatch: false
+  }))
+};
+
+/**
+ * Resolve a SKU from the local catalog
+ * @param {string} sku
+ * @returns {Object|null} null when the SKU is not in the catalog
+ */
+export function resolveWithCatalog(sku) {
+  const match = findCatalogEntry(sku);
+  if (!match) return null;
+
+  return {
+    ...mapCatalogEntry(match.entry),
+    exactMatch: match.exactMatch
+  };
+}
+
+/**
+ * Resolve a UPC/EAN barcode from the catalog's `upcs`
+ * @param {string} gtin - 13-digit GTIN
+ * @returns {Object|null} Result with the barcode's `size`, or null when no product lists it
+ */
+export function resolveUpcWithCatalog(gtin) {
+  const match = findCatalogEntryByUpc(gtin);
+  if (!match) return null;
+
+  return {
+    ...mapCatalogEntry(match.entry),
+    exactMatch: true,
+    size: match.size
+  };
+}
+
+/**
+ * Map a catalog entry to the resolver result shape
+ * The entry is passed as `raw` so the normalizer picks up retail price,
+ * release date, image and gender.
+ */
+function mapCatalogEntry(entry) {
+  return {
+    brand: entry.brand || null,
+    name: entry.name,
+    model: entry.model || null,
+    colorway: entry.colorway || null,
+    category: entry.category || 'sneakers',
+    sku: entry.sku,
+    source: 'catalog',
+    raw: entry
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * Circuit Breaker - Skips an unhealthy resolver for a cooldown period
+ *
+ * closed    → calls go through; consecutive failures are counted
+ * open      → calls are refused until the cooldown ends
+ * half_open → one trial call; success closes the circuit, failure reopens it
+ *
+ * Tuned with CIRCUIT_FAILURE_THRESHOLD (default 5) and
+ * CIRCUIT_COOLDOWN_SECONDS (default 30).
+ */
+
+import { gauge } from '../utils/metrics.js';
+
+const breakers = new Map();
+
+const STATE_VALUES = { closed: 0, half_open: 1, open: 2 };
+
+gauge('sole_circuit_state', 'Resolver circuit state: 0 closed, 1 half_open, 2 open', ['resolver'], () =>
+  listCircuitBreakers().map(({ name, state }) => ({ labels: { resolver: name }, value: STATE_VALUES[state] }))
+);
+
+/**
+ * Get (or create) the breaker for a resolver
+ * @param {string} name - Resolver name
+ * @returns {Object}
+ */
+export function getCircuitBreaker(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, createCircuitBreaker(name));
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Current state of every breaker that has seen traffic
+ * @returns {Array<{ name: string, state: string, failures: number, retry_after_ms: number|null }>}
+ */
+export function listCircuitBreakers() {
+  return [...breakers.values()].map(breaker => breaker.snapshot());
+}
+
+/**
+ * Build a breaker
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {number} [options.failureThreshold]
+ * @param {number} [options.cooldownMs]
+ * @returns {Object}
+ */
+export function createCircuitBreaker(name, {
+  failureThreshold = getFailureThreshold(),
+  cooldownMs = getCooldownMs()
+} = {}) {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  function refresh(now) {
+    if (state === 'open' && now - openedAt >= cooldownMs) {
+      state = 'half_open';
+      trialInFlight = false;
+    }
+  }
+
+  return {
+    name,
+
+    /**
+     * Whether a call may go through now (claims the trial slot when half-open)
+     */
+    allowRequest(now = Date.now()) {
+      refresh(now);
+      if (state === 'closed') return true;
+      if (state === 'half_open' && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    recordSuccess() {
+      state = 'closed';
+      failures = 0;
+      trialInFlight = false;
+    },
+
+    recordFailure(now = Date.now()) {
+      failures += 1;
+      trialInFlight = false;
+      if (state === 'half_open' || failures >= failureThreshold) {
+        if (state !== 'open') {
+          console.warn(`Circuit for ${name} opened after ${failures} failures, cooling down for ${cooldownMs}ms`);
+        }
+        state = 'open';
+        openedAt = now;
+      }
+    },
+
+    /**
+     * Milliseconds until a trial call is allowed (null unless open)
+     */
+    retryAfterMs(now = Date.now()) {
+      refresh(now);
+      return state === 'open' ? Math.max(0, openedAt + cooldownMs - now) : null;
+    },
+
+    snapshot(now = Date.now()) {
+      const retryAfter = this.retryAfterMs(now);
+      return { name, state, failures, retry_after_ms: retryAfter };
+    }
+  };
+}
+
+/**
+ * Consecutive failures before opening, from CIRCUIT_FAILURE_THRESHOLD (default 5)
+ */
+function getFailureThreshold() {
+  const threshold = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10);
+  return Number.isInteger(threshold) && threshold > 0 ? threshold : 5;
+}
+
+/**
+ * Cooldown from CIRCUIT_COOLDOWN_SECONDS (default 30)
+ */
+function getCooldownMs() {
+  const seconds = parseFloat(process.env.CIRCUIT_COOLDOWN_SECONDS);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : 30) * 1000;
+}
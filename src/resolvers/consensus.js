@@ -0,0 +1,120 @@
+/**
+ * Consensus - Merges results from several resolvers into one
+ *
+ * Each field is taken from the highest-priority source that has a value for
+ * it. A resolver can override its priority per field with `fieldPriority`
+ * (e.g. { colorway: 5 } to trust its colorways over a generally better source).
+ *
+ * Brand, model and colorway are compared across sources. Disagreements are
+ * reported as conflicts, and the share of sources agreeing feeds confidence.
+ *
+ * A source that found no exact match falls back to a similar product, so
+ * when any source matched the SKU exactly, the others are left out. Market
+ * data only ever comes from an exact match.
+ */
+
+import { textSimilarity } from '../utils/similarity.js';
+
+const MERGED_FIELDS = [
+  'brand', 'name', 'model', 'colorway', 'category', 'images', 'release_date',
+  'retail_price', 'gender', 'silhouette', 'colors', 'sku_variants'
+];
+
+const COMPARED_FIELDS = ['brand', 'model', 'colorway'];
+
+// Model/colorway strings at least this similar count as the same value
+const AGREEMENT_SIMILARITY = 0.8;
+
+const BRAND_ALIASES = { YEEZY: 'ADIDAS' };
+
+/**
+ * Merge normalized results from several sources
+ *
+ * @param {Array<{ source: string, priority: number, fieldPriority?: Object, exactMatch: boolean, data: Object, market: Object|null }>} entries
+ *   One per source that returned a result; `data` comes from normalizeResult()
+ * @returns {{ data: Object, source: string, sources: Array<string>, exactMatch: boolean, market: Object|null, agreement: number|null, conflicts: Array<Object>, fieldSources: Object }}
+ */
+export function mergeResults(entries) {
+  const exact = entries.filter(entry => entry.exactMatch);
+  const merged = exact.length ? exact : entries;
+  const bySource = [...merged].sort((a, b) => a.priority - b.priority);
+  const data = {};
+  const fieldSources = {};
+
+  for (const field of MERGED_FIELDS) {
+    const ranked = [...bySource].sort((a, b) => fieldRank(a, field) - fieldRank(b, field));
+    const winner = ranked.find(entry => hasValue(entry.data[field]));
+
+    data[field] = winner ? winner.data[field] : (Array.isArray(bySource[0].data[field]) ? [] : null);
+    if (winner) fieldSources[field] = winner.source;
+  }
+  data.category = data.category || 'sneakers';
+
+  const { agreement, conflicts } = compareFields(bySource, data);
+
+  return {
+    data,
+    source: fieldSources.brand || fieldSources.name || bySource[0].source,
+    sources: merged.map(entry => entry.source),
+    exactMatch: exact.length > 0,
+    market: bySource.find(entry => entry.exactMatch && entry.market)?.market || null,
+    agreement,
+    conflicts,
+    fieldSources
+  };
+}
+
+/**
+ * Compare brand/model/colorway across sources against the merged values
+ * Agreement is the share of (source, field) pairs that match the merged
+ * value, over fields reported by at least two sources; null when nothing
+ * could be compared (e.g. a single source).
+ */
+function compareFields(entries, merged) {
+  const conflicts = [];
+  let compared = 0;
+  let agreeing = 0;
+
+  for (const field of COMPARED_FIELDS) {
+    const reported = entries.filter(entry => hasValue(entry.data[field]));
+    if (reported.length < 2) continue;
+
+    const matches = reported.filter(entry => sameValue(field, entry.data[field], merged[field]));
+    compared += reported.length;
+    agreeing += matches.length;
+
+    if (matches.length < reported.length) {
+      conflicts.push({
+        field,
+        chosen: merged[field],
+        values: reported.map(entry => ({ source: entry.source, value: entry.data[field] }))
+      });
+    }
+  }
+
+  return {
+    agreement: compared ? Math.round((agreeing / compared) * 100) / 100 : null,
+    conflicts
+  };
+}
+
+function sameValue(field, a, b) {
+  if (field === 'brand') {
+    const key = (v) => {
+      const upper = String(v).toUpperCase().trim();
+      return BRAND_ALIASES[upper] || upper;
+    };
+    return key(a) === key(b);
+  }
+
+  return Math.max(textSimilarity(a, b), textSimilarity(b, a)) >= AGREEMENT_SIMILARITY;
+}
+
+function fieldRank(entry, field) {
+  return entry.fieldPriority?.[field] ?? entry.priority;
+}
+
+function hasValue(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value != null && value !== '';
+}
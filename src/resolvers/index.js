@@ -3,21 +3,268 @@
  * Manages the resolution chain with fallbacks
  */
 
-import { getCached, setCache } from '../db/cache.js';
-import { resolveWithKicksDb } from './kicksdb.js';
-import { resolveWithSneaks } from './sneaks.js';
+import {
+  getCached,
+  isCached,
+  setCache,
+  getCachedMarket,
+  setCachedMarket,
+  isCachedMiss,
+  setCachedMiss,
+  getCachedUpc,
+  setCachedUpc
+} from '../db/cache.js';
+import {
+  registerResolver,
+  getResolverChain,
+  runResolver,
+  getSearchChain,
+  runResolverSearch,
+  getUpcChain,
+  runResolverUpc
+} from './registry.js';
+import { catalogResolver } from './catalog.js';
+import { kicksDbResolver } from './kicksdb.js';
+import { sneaksResolver } from './sneaks.js';
+import { mergeResults } from './consensus.js';
 import { classifySku } from '../classifiers/sku-classifier.js';
-import { normalizeResult } from '../services/normalizer.js';
-import { calculateConfidence } from '../utils/confidence.js';
+import { classifyBarcode } from '../classifiers/barcode.js';
+import { generateCorrections } from '../classifiers/sku-corrector.js';
+import { normalizeResult, normalizeMarket } from '../services/normalizer.js';
+import { formatMarket } from '../services/market.js';
+import { calculateConfidence, explainConfidence, getCacheThreshold, getConfidenceLevel } from '../utils/confidence.js';
+import { textSimilarity } from '../utils/similarity.js';
+import { counter, histogram } from '../utils/metrics.js';
+import { countUsage, recordUsage } from '../services/usage.js';
+
+export { registerResolver, unregisterResolver, listResolvers } from './registry.js';
+
+// Built-in sources. New resolvers only need to call registerResolver().
+registerResolver(catalogResolver);
+registerResolver(kicksDbResolver);
+registerResolver(sneaksResolver);
+
+// Corrected SKUs sent upstream per lookup (cached corrections are always checked)
+const MAX_CORRECTION_LOOKUPS = 3;
+
+// Upstream lookups in progress, by normalized SKU, so concurrent requests share one
+const inFlight = new Map();
+
+const resolutions = counter(
+  'sole_resolutions_total',
+  'resolve() outcomes (resolved, corrected, not_found, upstream_unavailable, error) by answering source',
+  ['source', 'outcome']
+);
+const resolutionDuration = histogram('sole_resolution_duration_seconds', 'resolve() duration by outcome', ['outcome']);
+
+/**
+ * Resolve a SKU, falling back to OCR/typing corrections
+ * When the SKU matches no brand pattern and resolves to nothing, candidate
+ * fixes (confusable characters, missing hyphens) are tried: cached ones
+ * first, then the best few through the resolver chain.
+ *
+ * A UPC/EAN barcode (valid check digit) is resolved to its SKU and size
+ * instead; see resolveBarcode().
+ *
+ * @param {string} sku - The SKU (or UPC/EAN barcode) to resolve
+ * @param {Object} [options]
+ * @param {boolean} [options.correct=true] - Try corrections on a miss
+ * @param {boolean} [options.bypassNegativeCache=false] - Go upstream even for recently confirmed misses
+ * @param {boolean} [options.consensus=false] - Query every enabled source in parallel and merge
+ *   their fields, reporting conflicts (cached SKUs are still answered from the cache)
+ * @param {boolean} [options.explain=false] - Include `confidence_detail` (signals, level, reasons)
+ * @param {string|null} [options.keyId=null] - API key the lookup and its resolver calls are accounted to
+ * @returns {Promise<Object>}
+ */
+export async function resolve(sku, {
+  correct = true,
+  bypassNegativeCache = false,
+  consensus = false,
+  explain = false,
+  keyId = null
+} = {}) {
+  const start = process.hrtime.bigint();
+  const usage = { lookups: 1 };
+  const record = (source, outcome) => {
+    resolutions.inc({ source, outcome });
+    resolutionDuration.observe({ outcome }, Number(process.hrtime.bigint() - start) / 1e9);
+  };
+
+  const barcode = classifyBarcode(sku);
+
+  let result;
+  try {
+    result = barcode.valid
+      ? await resolveBarcode(barcode, { bypassNegativeCache, usage })
+      : await resolveWithCorrections(sku, { correct, bypassNegativeCache, consensus, usage });
+  } catch (error) {
+    record('none', 'error');
+    throw error;
+  } finally {
+    if (result?.source === 'cache') countUsage(usage, 'cache_hits');
+    if (result?.source === 'negative_cache') countUsage(usage, 'negative_cache_hits');
+    recordUsage(keyId, usage);
+  }
+
+  record(result.source || 'none', resolutionOutcome(result));
+  if (explain) return result;
+
+  const { confidence_detail, ...rest } = result;
+  return rest;
+}
+
+function resolutionOutcome(result) {
+  if (result.success) return result.correction ? 'corrected' : 'resolved';
+  return result.error_code || 'not_found';
+}
+
+/**
+ * resolveSku, then the correction fallback described on resolve()
+ */
+async function resolveWithCorrections(sku, { correct, bypassNegativeCache, consensus, usage }) {
+  const options = { bypassNegativeCache, consensus, usage };
+  const direct = await resolveSku(sku, options);
+  if (direct.success || !correct || direct.classification.candidates.length) {
+    return direct;
+  }
+
+  // Corrections would hit the same failing sources
+  if (direct.error_code === 'upstream_unavailable') return direct;
+
+  const corrections = generateCorrections(direct.classification.normalized);
+  if (!corrections.length) return direct;
+
+  const knownMiss = (c) => !bypassNegativeCache && isCachedMiss(c.sku);
+  const cachedFirst = [
+    ...corrections.filter(c => isCached(c.sku)),
+    ...corrections.filter(c => !isCached(c.sku) && !knownMiss(c)).slice(0, MAX_CORRECTION_LOOKUPS)
+  ];
+
+  for (const correction of cachedFirst) {
+    const result = await resolveSku(correction.sku, options);
+    if (!result.success) continue;
+
+    const confidence = Math.round(result.confidence * correction.penalty * 100) / 100;
+    const detail = result.confidence_detail;
+
+    return {
+      ...result,
+      input: sku,
+      correction: {
+        original: direct.classification.normalized,
+        corrected: correction.sku,
+        edits: correction.edits,
+        penalty: correction.penalty
+      },
+      confidence,
+      confidence_detail: {
+        ...detail,
+        score: confidence,
+        level: getConfidenceLevel(confidence),
+        signals: [...detail.signals, { signal: 'correction', multiplier: correction.penalty }],
+        reasons: [
+          ...detail.reasons,
+          `SKU corrected from ${direct.classification.normalized} to ${correction.sku} (${correction.edits.length} edit${correction.edits.length === 1 ? '' : 's'}), confidence ×${correction.penalty}`
+        ]
+      },
+      timing: direct.timing + result.timing
+    };
+  }
+
+  return {
+    ...direct,
+    corrections_tried: cachedFirst.map(c => c.sku)
+  };
+}
+
+/**
+ * Resolve a UPC/EAN barcode
+ * Order: cached barcode → SKU mapping → negative cache → resolvers with a
+ * barcode lookup (by priority). The SKU found is then resolved as usual,
+ * reusing the barcode lookup's result rather than querying again, and the
+ * answer gains a `barcode` block with the SKU and the size the barcode
+ * stands for. Mappings are cached so a box is only looked up once.
+ *
+ * @param {Object} barcode - From classifyBarcode()
+ * @param {Object} options
+ * @param {boolean} options.bypassNegativeCache
+ * @param {Object} options.usage - Usage tally
+ * @returns {Promise<Object>}
+ */
+async function resolveBarcode({ code, format, gtin }, { bypassNegativeCache, usage }) {
+  const startTime = Date.now();
+  const describe = (mapping, cached) => ({
+    code,
+    format,
+    gtin,
+    sku: mapping?.sku ?? null,
+    size: mapping?.size ?? null,
+    source: mapping?.source ?? null,
+    cached
+  });
+
+  const cached = getCachedUpc(gtin);
+  if (cached) {
+    const result = await resolveSku(cached.sku, { bypassNegativeCache, usage });
+    return { ...result, input: code, barcode: describe(cached, true) };
+  }
+
+  if (!bypassNegativeCache && isCachedMiss(gtin)) {
+    return {
+      success: false,
+      input: code,
+      ...describeMiss([]),
+      source: 'negative_cache',
+      barcode: describe(null, false),
+      timing: Date.now() - startTime
+    };
+  }
+
+  const { results, failures, queried } = await lookupOnce(`upc:${gtin}`, () => walkUpcChain(gtin, usage));
+
+  if (!results.length) {
+    if (!failures.length && queried > 0) setCachedMiss(gtin);
+
+    return {
+      success: false,
+      input: code,
+      ...describeMiss(failures),
+      barcode: describe(null, false),
+      timing: Date.now() - startTime
+    };
+  }
+
+  const [found] = results;
+  const mapping = {
+    sku: classifySku(found.result.sku).normalized,
+    size: found.result.size != null ? String(found.result.size) : null,
+    source: found.result.source
+  };
+  setCachedUpc(gtin, mapping);
+
+  const result = await resolveSku(mapping.sku, { usage, found });
+  return {
+    ...result,
+    input: code,
+    barcode: describe(mapping, false),
+    timing: Date.now() - startTime
+  };
+}
 
 /**
- * Resolve a SKU through the resolver chain
- * Order: Cache → KicksDB → Sneaks API
- * 
+ * Resolve a SKU exactly as given through the resolver chain
+ * Order: Cache → negative cache → registered resolvers (brand-specific first, then by priority)
+ *
  * @param {string} sku - The SKU to resolve
+ * @param {Object} [options]
+ * @param {boolean} [options.bypassNegativeCache=false]
+ * @param {boolean} [options.consensus=false] - Query every source and merge the results
+ * @param {Object} [options.usage] - Usage tally counting the resolver calls made
+ * @param {{ resolver: Object, result: Object }} [options.found] - A result already fetched
+ *   (by a barcode lookup), used instead of querying the sources
  * @returns {Promise<Object>}
  */
-export async function resolve(sku) {
+async function resolveSku(sku, { bypassNegativeCache = false, consensus = false, usage = null, found = null } = {}) {
   const startTime = Date.now();
   
   // Classify the SKU first
@@ -27,88 +274,427 @@ export async function resolve(sku) {
   // 1. Check cache first
   const cached = getCached(normalizedSku);
   if (cached) {
-    const confidence = calculateConfidence({
+    const explanation = explainConfidence({
       patternConfidence: classification.confidence,
       source: 'cache',
       exactSkuMatch: true,
       hasBrand: !!cached.brand,
       hasModel: !!cached.model,
       hasColorway: !!cached.colorway,
-      fromCache: true
+      fromCache: true,
+      brandCandidates: classification.candidates,
+      resolvedBrand: cached.brand
     });
+    const confidence = explanation.score;
+
+    const market = await getMarket(normalizedSku, classification, usage);
 
     return {
       success: true,
       input: sku,
-      resolved: {
-        brand: cached.brand,
-        name: cached.name,
-        model: cached.model,
-        colorway: cached.colorway,
-        category: cached.category
-      },
+      resolved: toResolved(cached),
       confidence: Math.round(confidence * 100) / 100,
       source: 'cache',
+      market,
+      confidence_detail: toDetail(explanation),
       classification,
       timing: Date.now() - startTime
     };
   }
 
-  // 2. Try KicksDB
-  let result = await resolveWithKicksDb(normalizedSku);
-  
-  // 3. Fallback to Sneaks API
-  if (!result) {
-    result = await resolveWithSneaks(normalizedSku);
+  // 2. Recently confirmed misses are answered without going upstream
+  if (!found && !bypassNegativeCache && isCachedMiss(normalizedSku)) {
+    return {
+      success: false,
+      input: sku,
+      ...describeMiss([]),
+      source: 'negative_cache',
+      classification,
+      timing: Date.now() - startTime
+    };
+  }
+
+  // 3. Query sources: first hit in chain order, or every source in consensus mode.
+  // Concurrent lookups of the same SKU (and mode) share one upstream request,
+  // accounted to the lookup that started it. A result a barcode lookup already
+  // fetched is used as is.
+  let lookup;
+  if (found) {
+    lookup = { results: [found], failures: [], queried: 1 };
+  } else if (consensus) {
+    lookup = await lookupOnce(`${normalizedSku}#consensus`, () => queryAll(normalizedSku, classification, usage));
+  } else {
+    lookup = await lookupOnce(normalizedSku, () => walkChain(normalizedSku, classification, usage));
   }
+  const { results, failures, queried } = lookup;
 
   // No results from any source
-  if (!result) {
+  if (!results.length) {
+    // Only a clean answer from every source is remembered as a miss
+    if (!failures.length && queried > 0) setCachedMiss(normalizedSku);
+
     return {
       success: false,
       input: sku,
-      error: 'No match found',
+      ...describeMiss(failures),
       classification,
       timing: Date.now() - startTime
     };
   }
 
-  // Normalize the result
-  const normalized = normalizeResult(result);
+  // Normalize each result; in consensus mode merge them field by field
+  const entries = results.map(({ resolver, result }) => ({
+    source: result.source,
+    priority: resolver.priority,
+    fieldPriority: resolver.fieldPriority,
+    exactMatch: !!result.exactMatch,
+    data: normalizeResult(result),
+    market: normalizeMarket(result)
+  }));
+  const merged = consensus ? mergeResults(entries) : null;
+  const { data: normalized, source, exactMatch, market } = merged || entries[0];
+
+  // Source gave no brand: trust the SKU pattern when it clearly points at one
+  if (!normalized.brand && classification.brand !== 'Unknown' && !classification.ambiguous) {
+    normalized.brand = classification.brand;
+  }
 
   // Calculate confidence
-  const confidence = calculateConfidence({
+  const explanation = explainConfidence({
     patternConfidence: classification.confidence,
-    source: result.source,
-    exactSkuMatch: result.exactMatch,
+    source,
+    exactSkuMatch: exactMatch,
     hasBrand: !!normalized.brand,
     hasModel: !!normalized.model,
     hasColorway: !!normalized.colorway,
-    fromCache: false
+    fromCache: false,
+    brandCandidates: classification.candidates,
+    resolvedBrand: normalized.brand,
+    sourceAgreement: merged?.agreement ?? null
   });
+  const confidence = explanation.score;
+
+  // Cache successful results with good confidence, unless sources disagree on the brand
+  const threshold = getCacheThreshold();
+  const brandConflict = !!merged?.conflicts.some(c => c.field === 'brand');
+  if (brandConflict) {
+    explanation.reasons.push('Sources disagree on the brand, not cached');
+  } else if (confidence < threshold) {
+    explanation.reasons.push(`Below the ${threshold} caching threshold, not cached`);
+  }
 
-  // Cache successful results with good confidence
-  if (confidence >= 0.5) {
+  if (confidence >= threshold && !brandConflict) {
     setCache(normalizedSku, {
       ...normalized,
-      source: result.source,
+      source,
       confidence
     });
+    if (market) setCachedMarket(normalizedSku, market);
   }
 
   return {
     success: true,
     input: sku,
-    resolved: {
-      brand: normalized.brand,
+    resolved: toResolved(normalized),
+    confidence: Math.round(confidence * 100) / 100,
+    source,
+    market: formatMarket(market),
+    confidence_detail: toDetail(explanation),
+    ...(merged ? {
+      consensus: {
+        sources: merged.sources,
+        agreement: merged.agreement,
+        conflicts: merged.conflicts,
+        field_sources: merged.fieldSources,
+        unavailable: failures.map(f => f.source)
+      }
+    } : {}),
+    classification,
+    timing: Date.now() - startTime
+  };
+}
+
+/**
+ * Public `confidence_detail` block
+ */
+function toDetail({ score, level, signals, reasons }) {
+  return {
+    score: Math.round(score * 100) / 100,
+    level,
+    signals,
+    reasons
+  };
+}
+
+/**
+ * Run a lookup once per key at a time
+ * Concurrent callers with the same key await the same promise.
+ *
+ * @param {string} key - Normalized SKU (plus mode)
+ * @param {Function} run - Starts the lookup
+ * @returns {Promise<*>} What run() resolves to
+ */
+function lookupOnce(key, run) {
+  let pending = inFlight.get(key);
+  if (!pending) {
+    pending = run().finally(() => inFlight.delete(key));
+    inFlight.set(key, pending);
+  }
+  return pending;
+}
+
+/**
+ * Try each resolver in the chain until one returns a result
+ */
+async function walkChain(sku, classification, usage) {
+  const failures = [];
+  let queried = 0;
+
+  for (const resolver of getResolverChain(candidateBrands(classification))) {
+    queried++;
+    try {
+      const result = await runResolver(resolver, sku, { classification, usage });
+      if (result) {
+        return { results: [withSource(resolver, result)], failures, queried };
+      }
+    } catch (error) {
+      console.error(`Resolver ${resolver.name} failed:`, error.message);
+      failures.push({ source: resolver.name, error });
+    }
+  }
+
+  return { results: [], failures, queried };
+}
+
+/**
+ * Try each resolver with a barcode lookup until one names a SKU
+ */
+async function walkUpcChain(gtin, usage) {
+  const failures = [];
+  let queried = 0;
+
+  for (const resolver of getUpcChain()) {
+    queried++;
+    try {
+      const result = await runResolverUpc(resolver, gtin, { usage });
+      if (result?.sku) {
+        return { results: [withSource(resolver, result)], failures, queried };
+      }
+    } catch (error) {
+      console.error(`Resolver ${resolver.name} barcode lookup failed:`, error.message);
+      failures.push({ source: resolver.name, error });
+    }
+  }
+
+  return { results: [], failures, queried };
+}
+
+/**
+ * Query every resolver in the chain in parallel (consensus mode)
+ */
+async function queryAll(sku, classification, usage) {
+  const chain = getResolverChain(candidateBrands(classification));
+  const settled = await Promise.allSettled(
+    chain.map(resolver => runResolver(resolver, sku, { classification, usage }))
+  );
+
+  const results = [];
+  const failures = [];
+  settled.forEach((outcome, i) => {
+    if (outcome.status === 'rejected') {
+      console.error(`Resolver ${chain[i].name} failed:`, outcome.reason?.message);
+      failures.push({ source: chain[i].name, error: outcome.reason || new Error('Resolver failed') });
+    } else if (outcome.value) {
+      results.push(withSource(chain[i], outcome.value));
+    }
+  });
+
+  return { results, failures, queried: chain.length };
+}
+
+function withSource(resolver, result) {
+  return { resolver, result: { ...result, source: result.source || resolver.name } };
+}
+
+/**
+ * Market data for a cached SKU
+ * Stale prices are refreshed through the resolver chain, once per SKU at a
+ * time; if that fails the stale prices are returned flagged as such. Pinned
+ * entries are manual corrections, so their prices are never refreshed from
+ * sources that may describe a different product.
+ *
+ * @param {string} sku - Normalized SKU
+ * @param {Object} classification
+ * @param {Object} [usage] - Usage tally
+ * @returns {Promise<Object|null>}
+ */
+async function getMarket(sku, classification, usage) {
+  const cached = getCachedMarket(sku);
+  if (!cached) return null;
+  if (cached.fresh) return formatMarket(cached.market, { updatedAt: cached.updatedAt });
+
+  const market = cached.pinned
+    ? null
+    : await lookupOnce(`${sku}#market`, () => refreshMarket(sku, classification, usage));
+  if (market) return formatMarket(market);
+
+  return formatMarket(cached.market, { updatedAt: cached.updatedAt, stale: true });
+}
+
+/**
+ * Fetch and store fresh market data from the first source with an exact match
+ * @returns {Promise<Object|null>} Normalized market data, or null
+ */
+async function refreshMarket(sku, classification, usage) {
+  for (const resolver of getResolverChain(candidateBrands(classification))) {
+    let result = null;
+    try {
+      result = await runResolver(resolver, sku, { classification, usage });
+    } catch (error) {
+      console.error(`Resolver ${resolver.name} market refresh failed:`, error.message);
+    }
+
+    // A fuzzy match is another product; its prices would be wrong
+    const market = result?.exactMatch ? normalizeMarket({ ...result, source: result.source || resolver.name }) : null;
+    if (market) {
+      setCachedMarket(sku, market);
+      return market;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Tell a clean miss apart from sources that could not answer
+ * A miss only counts as "not found" when every source answered; if any
+ * failed, the SKU may exist and the client should retry later.
+ *
+ * @param {Array<{ source: string, error: Error }>} failures
+ * @returns {Object} error, error_code and, when unavailable, retry hints
+ */
+function describeMiss(failures) {
+  if (!failures.length) {
+    return { error: 'No match found', error_code: 'not_found' };
+  }
+
+  const retryAfterMs = Math.max(0, ...failures.map(f => f.error.retryAfterMs || 0));
+
+  return {
+    error: 'Upstream sources unavailable, try again later',
+    error_code: 'upstream_unavailable',
+    retryable: failures.some(f => f.error.retryable !== false),
+    retry_after: retryAfterMs ? Math.ceil(retryAfterMs / 1000) : null,
+    upstream_errors: failures.map(f => ({ source: f.source, error: f.error.message }))
+  };
+}
+
+/**
+ * Public `resolved` block
+ * Entries cached before the rich fields existed get empty values for them.
+ */
+function toResolved(data) {
+  return {
+    brand: data.brand,
+    name: data.name,
+    model: data.model,
+    colorway: data.colorway,
+    category: data.category,
+    images: data.images || [],
+    release_date: data.release_date ?? null,
+    retail_price: data.retail_price ?? null,
+    gender: data.gender ?? null,
+    silhouette: data.silhouette ?? null,
+    colors: data.colors || [],
+    sku_variants: data.sku_variants || []
+  };
+}
+
+/**
+ * Brands to build the resolver chain for, best candidate first
+ */
+function candidateBrands(classification) {
+  return classification.candidates?.length
+    ? classification.candidates.map(c => c.brand)
+    : [classification.brand];
+}
+
+/**
+ * Search resolver sources by product name
+ * Every enabled resolver with a `search` method is queried in parallel.
+ * Candidates are deduped by SKU and ranked by text similarity to the query.
+ *
+ * @param {string} query - Free text, e.g. "Jordan 4 Military Black"
+ * @param {Object} [options]
+ * @param {number} [options.limit=10]
+ * @param {string|null} [options.keyId=null] - API key the search is accounted to
+ * @returns {Promise<Object>}
+ */
+export async function search(query, { limit = 10, keyId = null } = {}) {
+  const startTime = Date.now();
+  const resolvers = getSearchChain();
+
+  const usage = { searches: 1 };
+  const settled = await Promise.allSettled(
+    resolvers.map(resolver => runResolverSearch(resolver, query, { limit, usage }))
+  );
+  recordUsage(keyId, usage);
+
+  const bySku = new Map();
+  const failures = [];
+  settled.forEach((outcome, i) => {
+    if (outcome.status === 'rejected') {
+      console.error(`Resolver ${resolvers[i].name} search failed:`, outcome.reason?.message);
+      failures.push({ source: resolvers[i].name, error: outcome.reason || new Error('Search failed') });
+      return;
+    }
+
+    for (const result of outcome.value || []) {
+      const sku = result.sku?.toUpperCase().trim();
+      // Earlier (higher priority) sources win duplicates
+      if (!sku || bySku.has(sku)) continue;
+      bySku.set(sku, { ...result, sku, source: result.source || resolvers[i].name });
+    }
+  });
+
+  const results = [...bySku.values()].map(result => {
+    const normalized = normalizeResult(result);
+    const classification = classifySku(result.sku);
+
+    const confidence = calculateConfidence({
+      patternConfidence: classification.confidence,
+      source: result.source,
+      exactSkuMatch: false,
+      hasBrand: !!normalized.brand,
+      hasModel: !!normalized.model,
+      hasColorway: !!normalized.colorway,
+      fromCache: false,
+      brandCandidates: classification.candidates,
+      resolvedBrand: normalized.brand
+    });
+
+    return {
+      sku: result.sku,
       name: normalized.name,
+      brand: normalized.brand,
       model: normalized.model,
       colorway: normalized.colorway,
-      category: normalized.category
-    },
-    confidence: Math.round(confidence * 100) / 100,
-    source: result.source,
-    classification,
+      category: normalized.category,
+      similarity: textSimilarity(query, normalized.name),
+      confidence: Math.round(confidence * 100) / 100,
+      source: result.source
+    };
+  });
+
+  results.sort((a, b) => b.similarity - a.similarity || b.confidence - a.confidence);
+
+  return {
+    success: results.length > 0,
+    query,
+    count: Math.min(results.length, limit),
+    results: results.slice(0, limit),
+    sources: resolvers.map(r => r.name),
+    ...(results.length ? {} : describeMiss(failures)),
     timing: Date.now() - startTime
   };
 }
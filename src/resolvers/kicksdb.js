@@ -1,16 +1,127 @@
 /**
  * KicksDB API Resolver
  * Uses KicksDB's unified API to search across StockX, GOAT, Flight Club
+ * Box barcodes are matched against the UPCs StockX lists per size variant.
  */
 
+import { fetchWithRetry } from '../utils/http.js';
+import { UpstreamError } from '../utils/errors.js';
+import { toGtin13 } from '../classifiers/barcode.js';
+
 const KICKSDB_BASE_URL = 'https://api.kicks.dev/v3/stockx/products';
+// Per attempt; the resolver's timeoutMs bounds all attempts together
+const ATTEMPT_TIMEOUT_MS = 5000;
+
+/**
+ * Registry definition for KicksDB
+ * Covers every brand; only enabled when an API key is configured
+ */
+export const kicksDbResolver = {
+  name: 'kicksdb',
+  priority: 10,
+  brands: ['*'],
+  timeoutMs: 12000,
+  setup: 'Set KICKSDB_API_KEY',
+  isEnabled: () => !!process.env.KICKSDB_API_KEY,
+  resolve: (sku, { signal } = {}) => resolveWithKicksDb(sku, { signal }),
+  search: (query, { limit, signal } = {}) => searchKicksDb(query, { limit, signal }),
+  resolveUpc: (gtin, { signal } = {}) => resolveUpcWithKicksDb(gtin, { signal }),
+  probe: ({ signal } = {}) => probeKicksDb({ signal })
+};
 
 /**
  * Resolve a SKU using KicksDB
  * @param {string} sku 
- * @returns {Promise<Object|null>}
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object|null>} null when KicksDB has no match
+ * @throws {UpstreamError} When KicksDB could not be reached or refused the request
+ */
+export async function resolveWithKicksDb(sku, { signal } = {}) {
+  const items = await fetchKicksDbProducts(sku, { signal });
+
+  if (!items?.length) {
+    return null;
+  }
+
+  // Find best match - prefer exact SKU match
+  const exactMatch = items.find(item => 
+    item.sku?.toUpperCase() === sku.toUpperCase()
+  );
+  const item = exactMatch || items[0];
+
+  return {
+    ...mapKicksDbItem(item),
+    sku: item.sku || sku,
+    exactMatch: !!exactMatch
+  };
+}
+
+/**
+ * Resolve a UPC/EAN barcode using KicksDB
+ * The barcode is searched like a SKU; only a product with a size variant
+ * listing that barcode counts, so a loose text match is never taken for it.
+ *
+ * @param {string} gtin - 13-digit GTIN
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object|null>} Result with the variant's `size`, or null
+ * @throws {UpstreamError}
+ */
+export async function resolveUpcWithKicksDb(gtin, { signal } = {}) {
+  // US listings carry the 12-digit UPC-A
+  const items = await fetchKicksDbProducts(gtin.replace(/^0/, ''), { signal });
+
+  for (const item of items || []) {
+    const variants = Array.isArray(item.variants) ? item.variants : [];
+    const variant = variants.find(v => variantBarcodes(v).some(code => toGtin13(code) === gtin));
+    if (!variant || !item.sku) continue;
+
+    return {
+      ...mapKicksDbItem(item),
+      exactMatch: true,
+      size: String(variant.size ?? variant.size_us ?? variant.title ?? '') || null
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Search KicksDB by product name
+ * @param {string} query - Free text, e.g. "Jordan 4 Military Black"
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<Object>>}
+ * @throws {UpstreamError}
  */
-export async function resolveWithKicksDb(sku) {
+export async function searchKicksDb(query, { limit = 10, signal } = {}) {
+  const items = await fetchKicksDbProducts(query, { limit, signal });
+
+  return (items || [])
+    .filter(item => item.sku)
+    .map(item => ({ ...mapKicksDbItem(item), exactMatch: false }));
+}
+
+/**
+ * Check that KicksDB is reachable and accepts our key
+ * One single-item query, not retried
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @throws {UpstreamError} When KicksDB is unreachable or refuses the key
+ */
+export async function probeKicksDb({ signal } = {}) {
+  await fetchKicksDbProducts('jordan', { limit: 1, signal, retries: 0 });
+}
+
+/**
+ * Query the KicksDB products endpoint
+ * 429/5xx and network errors are retried; a 404 counts as no match.
+ * @returns {Promise<Array<Object>|null>} Items, or null when no API key is configured
+ * @throws {UpstreamError}
+ */
+async function fetchKicksDbProducts(query, { limit, signal, retries } = {}) {
   const apiKey = process.env.KICKSDB_API_KEY;
   
   if (!apiKey) {
@@ -18,52 +129,61 @@ export async function resolveWithKicksDb(sku) {
     return null;
   }
 
-  try {
-    const url = `${KICKSDB_BASE_URL}?query=${encodeURIComponent(sku)}`;
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      console.error(`KicksDB request failed: ${response.status}`);
-      return null;
-    }
-
-    const data = await response.json();
-    const items = data?.data || [];
+  let url = `${KICKSDB_BASE_URL}?query=${encodeURIComponent(query)}`;
+  if (limit) url += `&limit=${limit}`;
 
-    if (!items.length) {
-      return null;
+  const response = await fetchWithRetry(url, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
     }
+  }, { source: 'kicksdb', attemptTimeoutMs: ATTEMPT_TIMEOUT_MS, signal, ...(retries != null && { retries }) });
 
-    // Find best match - prefer exact SKU match
-    const exactMatch = items.find(item => 
-      item.sku?.toUpperCase() === sku.toUpperCase()
-    );
-    const item = exactMatch || items[0];
+  if (response.status === 404) return [];
 
-    return {
-      brand: item.brand || extractBrandFromTitle(item.title),
-      name: item.title || item.name || '',
-      model: item.model || extractModelFromTitle(item.title),
-      colorway: item.colorway || extractColorwayFromTitle(item.title),
-      category: item.categories?.[0] || 'sneakers',
-      sku: item.sku || sku,
+  if (!response.ok) {
+    console.error(`KicksDB request failed: ${response.status}`);
+    throw new UpstreamError(`kicksdb responded ${response.status}`, {
       source: 'kicksdb',
-      exactMatch: !!exactMatch,
-      raw: item
-    };
+      status: response.status,
+      retryable: false
+    });
+  }
+
+  try {
+    const data = await response.json();
+    return data?.data || [];
   } catch (error) {
-    console.error('KicksDB resolver error:', error.message);
-    return null;
+    throw new UpstreamError(`kicksdb returned an unreadable response: ${error.message}`, { source: 'kicksdb' });
   }
 }
 
+/**
+ * Map a KicksDB item to the resolver result shape
+ */
+function mapKicksDbItem(item) {
+  return {
+    brand: item.brand || extractBrandFromTitle(item.title),
+    name: item.title || item.name || '',
+    model: item.model || extractModelFromTitle(item.title),
+    colorway: item.colorway || extractColorwayFromTitle(item.title),
+    category: item.categories?.[0] || 'sneakers',
+    sku: item.sku || null,
+    source: 'kicksdb',
+    raw: item
+  };
+}
+
+/**
+ * UPC/EAN codes a size variant lists (`identifiers` or `gtins`)
+ */
+function variantBarcodes(variant) {
+  return [...(variant.identifiers || []), ...(variant.gtins || [])]
+    .map(id => String(id?.identifier ?? id).replace(/\D/g, ''))
+    .filter(code => code.length === 12 || code.length === 13);
+}
+
 /**
  * Extract brand from title if not provided
  */
@@ -0,0 +1,277 @@
+/**
+ * Resolver Registry
+ * Keeps the ordered list of resolution sources the orchestrator walks
+ *
+ * A resolver definition looks like:
+ * {
+ *   name: 'kicksdb',               // Unique id, also used as the result `source`
+ *   priority: 10,                  // Lower runs first
+ *   brands: ['*'],                 // Brands from classifySku, or '*' for any
+ *   timeoutMs: 8000,               // Per-call time budget, overridable with <NAME>_TIMEOUT_MS
+ *   isEnabled: () => true,         // Checked on every resolution
+ *   resolve: async (sku, context) => result | null,
+ *   search: async (query, context) => [result],  // Optional free-text search
+ *   resolveUpc: async (gtin, context) => result | null,  // Optional UPC/EAN barcode lookup
+ *   fieldPriority: { colorway: 5 },               // Optional per-field priority for consensus merging
+ *   probe: async ({ signal }) => {},              // Optional readiness check, throws when unreachable
+ *   optional: true,                               // Being disabled does not degrade readiness
+ *   setup: 'Set FOO_API_KEY'                      // Shown by readiness checks while disabled
+ * }
+ *
+ * `context.signal` is aborted when the time budget runs out. Resolvers return
+ * null for a clean miss and throw (ideally an UpstreamError) when the source
+ * could not answer; failures feed the resolver's circuit breaker.
+ * A `resolveUpc` result is a normal result whose `sku` is the barcode's
+ * product, plus the `size` the barcode stands for.
+ */
+
+import { getCircuitBreaker } from './circuit-breaker.js';
+import { UpstreamError } from '../utils/errors.js';
+import { counter, histogram, timed } from '../utils/metrics.js';
+import { countUsage } from '../services/usage.js';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const upstreamDuration = histogram(
+  'sole_upstream_request_duration_seconds',
+  'Resolver call duration (retries included) by resolver, operation and outcome (hit, miss, error)',
+  ['resolver', 'operation', 'outcome']
+);
+const circuitRejections = counter(
+  'sole_upstream_circuit_rejections_total',
+  'Resolver calls refused because the circuit was open',
+  ['resolver']
+);
+
+const resolvers = new Map();
+
+/**
+ * Register a resolver (replaces any existing resolver with the same name)
+ * @param {Object} definition
+ * @returns {Object} The stored definition
+ */
+export function registerResolver(definition) {
+  if (!definition?.name || typeof definition.resolve !== 'function') {
+    throw new Error('Resolver definition requires a name and a resolve function');
+  }
+
+  const resolver = {
+    priority: 100,
+    brands: ['*'],
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    isEnabled: () => true,
+    ...definition
+  };
+
+  resolvers.set(resolver.name, resolver);
+  return resolver;
+}
+
+/**
+ * Remove a resolver from the registry
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function unregisterResolver(name) {
+  return resolvers.delete(name);
+}
+
+/**
+ * Get a registered resolver by name
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function getResolver(name) {
+  return resolvers.get(name) || null;
+}
+
+/**
+ * List every registered resolver, ordered by priority
+ * @returns {Array<Object>}
+ */
+export function listResolvers() {
+  return [...resolvers.values()].sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Check whether a resolver handles a given brand
+ * @param {Object} resolver
+ * @param {string} brand
+ * @returns {boolean}
+ */
+export function supportsBrand(resolver, brand) {
+  const brands = resolver.brands || ['*'];
+  if (brands.includes('*')) return true;
+  if (!brand) return false;
+
+  const upper = brand.toUpperCase();
+  return brands.some(b => b.toUpperCase() === upper);
+}
+
+/**
+ * Build the resolution chain for a classification
+ * Resolvers dedicated to one of the candidate brands go first (in candidate
+ * rank order), then the generic ones, each in priority order.
+ * Disabled resolvers and resolvers that do not support any candidate are skipped.
+ *
+ * @param {string|Array<string>} brands - Brand, or ranked candidate brands, from classifySku
+ * @returns {Array<Object>}
+ */
+export function getResolverChain(brands) {
+  const ranked = (Array.isArray(brands) ? brands : [brands]).filter(Boolean);
+
+  const enabled = listResolvers().filter(resolver => {
+    try {
+      return resolver.isEnabled();
+    } catch (error) {
+      console.error(`Resolver ${resolver.name} enabled check failed:`, error.message);
+      return false;
+    }
+  });
+
+  const isGeneric = (r) => (r.brands || ['*']).includes('*');
+
+  const specific = [];
+  for (const brand of ranked) {
+    for (const resolver of enabled) {
+      if (!isGeneric(resolver) && supportsBrand(resolver, brand) && !specific.includes(resolver)) {
+        specific.push(resolver);
+      }
+    }
+  }
+
+  return [...specific, ...enabled.filter(isGeneric)];
+}
+
+/**
+ * Run a resolver within its time budget and circuit breaker
+ * @param {Object} resolver
+ * @param {string} sku
+ * @param {Object} context - Extra info passed to the resolver (classification etc.);
+ *   `context.usage` is a usage tally that counts the call, and is not passed on
+ * @returns {Promise<Object|null>}
+ * @throws {UpstreamError} When the source failed, timed out or its circuit is open
+ */
+export async function runResolver(resolver, sku, { usage, ...context } = {}) {
+  return guarded(resolver, 'resolve', usage, signal => resolver.resolve(sku, { ...context, signal }));
+}
+
+/**
+ * List resolvers that support free-text search, in priority order
+ * @returns {Array<Object>}
+ */
+export function getSearchChain() {
+  return enabledWith('search');
+}
+
+/**
+ * Run a resolver's free-text search within its time budget
+ * @param {Object} resolver
+ * @param {string} query
+ * @param {Object} context - e.g. { limit }, plus `usage` as for runResolver
+ * @returns {Promise<Array<Object>>}
+ */
+export async function runResolverSearch(resolver, query, { usage, ...context } = {}) {
+  return guarded(resolver, 'search', usage, signal => resolver.search(query, { ...context, signal }));
+}
+
+/**
+ * List resolvers that can look up UPC/EAN barcodes, in priority order
+ * @returns {Array<Object>}
+ */
+export function getUpcChain() {
+  return enabledWith('resolveUpc');
+}
+
+/**
+ * Run a resolver's barcode lookup within its time budget
+ * @param {Object} resolver
+ * @param {string} gtin - 13-digit GTIN
+ * @param {Object} context - As for runResolver
+ * @returns {Promise<Object|null>} Result with `sku` and `size`, or null
+ */
+export async function runResolverUpc(resolver, gtin, { usage, ...context } = {}) {
+  return guarded(resolver, 'upc', usage, signal => resolver.resolveUpc(gtin, { ...context, signal }));
+}
+
+/**
+ * Resolver time budget: <NAME>_TIMEOUT_MS, else the definition's timeoutMs
+ * @param {Object} resolver
+ * @returns {number}
+ */
+export function getResolverTimeout(resolver) {
+  const override = parseInt(process.env[`${resolver.name.toUpperCase().replace(/\W/g, '_')}_TIMEOUT_MS`], 10);
+  if (Number.isInteger(override) && override > 0) return override;
+  return resolver.timeoutMs || DEFAULT_TIMEOUT_MS;
+}
+
+/**
+ * Enabled resolvers implementing an optional method
+ */
+function enabledWith(method) {
+  return listResolvers().filter(resolver => {
+    if (typeof resolver[method] !== 'function') return false;
+    try {
+      return resolver.isEnabled();
+    } catch (error) {
+      console.error(`Resolver ${resolver.name} enabled check failed:`, error.message);
+      return false;
+    }
+  });
+}
+
+/**
+ * Check the circuit, run the call within its time budget, record the outcome
+ * Calls refused by an open circuit are not counted as usage.
+ */
+async function guarded(resolver, operation, usage, call) {
+  const breaker = getCircuitBreaker(resolver.name);
+
+  if (!breaker.allowRequest()) {
+    circuitRejections.inc({ resolver: resolver.name });
+    throw new UpstreamError(`Resolver ${resolver.name} is cooling down after repeated failures`, {
+      source: resolver.name,
+      retryAfterMs: breaker.retryAfterMs()
+    });
+  }
+
+  countUsage(usage, `upstream:${resolver.name}`);
+
+  try {
+    const result = await timed(upstreamDuration, (error, found) => ({
+      resolver: resolver.name,
+      operation,
+      outcome: error ? 'error' : (Array.isArray(found) ? found.length : found) ? 'hit' : 'miss'
+    }), () => withTimeout(resolver, call));
+    breaker.recordSuccess();
+    return result;
+  } catch (error) {
+    breaker.recordFailure();
+    throw error;
+  }
+}
+
+/**
+ * Race a resolver call against its timeout, aborting the call when time runs out
+ */
+async function withTimeout(resolver, call) {
+  const timeoutMs = getResolverTimeout(resolver);
+  const controller = new AbortController();
+  let timer;
+
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new UpstreamError(`Resolver ${resolver.name} timed out after ${timeoutMs}ms`, {
+        source: resolver.name
+      });
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([call(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
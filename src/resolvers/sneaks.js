@@ -1,9 +1,175 @@
 /**
- * Sneaks API Resolver - Disabled
- * The sneaks-api package has compatibility issues.
+ * Sneaks API Resolver
+ * Free fallback covering StockX, GOAT, Flight Club and Stadium Goods, through
+ * a Sneaks-API compatible server at SNEAKS_API_URL (talked to over plain fetch,
+ * no sneaks-api package)
+ *
+ * Endpoints used:
+ *   GET /search/:query?count=N  → [product]
+ *   GET /id/:styleID/prices     → product with per-size resell prices
  */
 
-export async function resolveWithSneaks(sku) {
-  // Disabled due to dependency issues
-  return null;
+import { fetchWithRetry } from '../utils/http.js';
+import { UpstreamError } from '../utils/errors.js';
+
+// Per attempt; the resolver's timeoutMs bounds all attempts together
+const ATTEMPT_TIMEOUT_MS = 5000;
+const RESOLVE_SEARCH_COUNT = 5;
+const MARKETPLACES = ['stockX', 'goat', 'flightClub', 'stadiumGoods'];
+
+/**
+ * Registry definition for Sneaks
+ * Covers every brand; only enabled when SNEAKS_API_URL is configured
+ */
+export const sneaksResolver = {
+  name: 'sneaks',
+  priority: 20,
+  brands: ['*'],
+  timeoutMs: 10000,
+  optional: true,
+  setup: 'Set SNEAKS_API_URL',
+  isEnabled: () => !!process.env.SNEAKS_API_URL,
+  resolve: (sku, { signal } = {}) => resolveWithSneaks(sku, { signal }),
+  search: (query, { limit, signal } = {}) => searchSneaks(query, { limit, signal }),
+  probe: ({ signal } = {}) => fetchSneaks('/search/jordan?count=1', { signal, retries: 0 })
+};
+
+/**
+ * Resolve a SKU using the Sneaks API
+ * Per-size prices are fetched for exact matches; if that call fails the
+ * product is still returned without them.
+ *
+ * @param {string} sku
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object|null>} null when Sneaks has no match
+ * @throws {UpstreamError} When the Sneaks API could not be reached
+ */
+export async function resolveWithSneaks(sku, { signal } = {}) {
+  const items = await fetchSneaks(`/search/${encodeURIComponent(sku)}?count=${RESOLVE_SEARCH_COUNT}`, { signal });
+
+  if (!Array.isArray(items) || !items.length) {
+    return null;
+  }
+
+  // Find best match - prefer exact SKU match
+  const exactMatch = items.find(item => normalizeStyleId(item.styleID) === sku.toUpperCase());
+  let item = exactMatch || items[0];
+
+  if (exactMatch) {
+    try {
+      const priced = await fetchSneaks(`/id/${encodeURIComponent(exactMatch.styleID)}/prices`, { signal });
+      if (priced && typeof priced === 'object' && !Array.isArray(priced)) item = { ...exactMatch, ...priced };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.warn(`Sneaks prices unavailable for ${sku}: ${error.message}`);
+    }
+  }
+
+  return {
+    ...mapSneaksItem(item),
+    sku: normalizeStyleId(item.styleID) || sku,
+    exactMatch: !!exactMatch
+  };
+}
+
+/**
+ * Search the Sneaks API by product name
+ * @param {string} query - Free text, e.g. "Jordan 4 Military Black"
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<Object>>}
+ * @throws {UpstreamError}
+ */
+export async function searchSneaks(query, { limit = 10, signal } = {}) {
+  const items = await fetchSneaks(`/search/${encodeURIComponent(query)}?count=${limit}`, { signal });
+
+  return (Array.isArray(items) ? items : [])
+    .filter(item => item.styleID)
+    .map(item => ({ ...mapSneaksItem(item), exactMatch: false }));
+}
+
+/**
+ * GET a Sneaks API path
+ * 429/5xx and network errors are retried; a 404 counts as no match.
+ * @returns {Promise<*>} Parsed JSON, or null on 404
+ * @throws {UpstreamError}
+ */
+async function fetchSneaks(pathname, { signal, retries } = {}) {
+  const baseUrl = process.env.SNEAKS_API_URL.replace(/\/+$/, '');
+
+  const response = await fetchWithRetry(`${baseUrl}${pathname}`, {
+    method: 'GET',
+    headers: { 'Accept': 'application/json' }
+  }, { source: 'sneaks', attemptTimeoutMs: ATTEMPT_TIMEOUT_MS, signal, ...(retries != null && { retries }) });
+
+  if (response.status === 404) return null;
+
+  if (!response.ok) {
+    console.error(`Sneaks request failed: ${response.status}`);
+    throw new UpstreamError(`sneaks responded ${response.status}`, {
+      source: 'sneaks',
+      status: response.status,
+      retryable: false
+    });
+  }
+
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new UpstreamError(`sneaks returned an unreadable response: ${error.message}`, { source: 'sneaks' });
+  }
+}
+
+/**
+ * Map a Sneaks product to the resolver result shape
+ * `raw` gains lowest_ask and per-size variants in the form the normalizer reads.
+ */
+function mapSneaksItem(item) {
+  return {
+    brand: item.brand || null,
+    name: item.shoeName || '',
+    model: item.silhoutte || item.make || null,
+    colorway: item.colorway || null,
+    category: 'sneakers',
+    sku: normalizeStyleId(item.styleID),
+    source: 'sneaks',
+    image: item.thumbnail || null,
+    images: Array.isArray(item.imageLinks) ? item.imageLinks : [],
+    raw: {
+      ...item,
+      lowest_ask: lowestPrice(Object.values(item.lowestResellPrice || {})),
+      variants: sizeVariants(item.resellPrices)
+    }
+  };
+}
+
+/**
+ * Lowest ask per size across marketplaces
+ * { stockX: { "10": 210 }, goat: { "10": 195 } } → [{ size: "10", lowest_ask: 195 }]
+ */
+function sizeVariants(resellPrices) {
+  const bySize = new Map();
+
+  for (const marketplace of MARKETPLACES) {
+    for (const [size, price] of Object.entries(resellPrices?.[marketplace] || {})) {
+      bySize.set(size, lowestPrice([bySize.get(size), price]));
+    }
+  }
+
+  return [...bySize].map(([size, price]) => ({ size, lowest_ask: price }));
+}
+
+function lowestPrice(values) {
+  const prices = values.filter(value => typeof value === 'number' && value > 0);
+  return prices.length ? Math.min(...prices) : null;
+}
+
+/**
+ * Sneaks style IDs sometimes use spaces ("DD1391 100"); match our hyphenated form
+ */
+function normalizeStyleId(styleId) {
+  if (!styleId) return null;
+  return String(styleId).toUpperCase().trim().replace(/\s+/g, '-');
 }
@@ -0,0 +1,446 @@
+import {
+  getCacheEntry,
+  listCacheEntries,
+  deleteCacheEntry,
+  purgeCache,
+  pinCacheEntry,
+  setCachePinned,
+  getCacheStats,
+  clearCachedMisses,
+  invalidateCacheEntries
+} from '../db/cache.js';
+import {
+  listCatalogEntries,
+  upsertCatalogEntries,
+  deleteCatalogEntry,
+  parseCatalogFile
+} from '../services/catalog.js';
+import {
+  API_SCOPES,
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  updateApiKey,
+  revokeApiKey,
+  usageDay
+} from '../db/api-keys.js';
+import { getUsageReport } from '../services/usage.js';
+import { requireAdmin } from '../utils/auth.js';
+import { validateSkuQuery } from '../utils/validation.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const USAGE_REPORT_DAYS = 7;
+
+export default async function adminRoutes(fastify) {
+  fastify.addHook('preHandler', requireAdmin);
+
+  /**
+   * GET /admin/cache
+   * List and search cached SKUs
+   */
+  fastify.get('/admin/cache', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          q: { type: 'string' },
+          brand: { type: 'string' },
+          source: { type: 'string' },
+          limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+          offset: { type: 'integer', minimum: 0, default: 0 }
+        }
+      }
+    }
+  }, async (request) => {
+    const { q, brand, source, limit, offset } = request.query;
+    const { total, entries } = listCacheEntries({ query: q, brand, source, limit, offset });
+
+    return {
+      success: true,
+      total,
+      limit,
+      offset,
+      entries: entries.map(formatEntry)
+    };
+  });
+
+  /**
+   * GET /admin/cache/stats
+   */
+  fastify.get('/admin/cache/stats', async () => {
+    return { success: true, stats: getCacheStats() };
+  });
+
+  /**
+   * POST /admin/cache/purge
+   * Delete entries by brand, source and/or age. At least one filter is required.
+   */
+  fastify.post('/admin/cache/purge', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          brand: { type: 'string' },
+          source: { type: 'string' },
+          older_than_days: { type: 'number', minimum: 0 },
+          include_pinned: { type: 'boolean', default: false }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { brand, source, older_than_days, include_pinned } = request.body || {};
+
+    if (!brand && !source && older_than_days == null) {
+      return reply.status(400).send({
+        success: false,
+        error: 'Provide at least one of brand, source or older_than_days'
+      });
+    }
+
+    const removed = purgeCache({
+      brand,
+      source,
+      olderThanDays: older_than_days,
+      includePinned: include_pinned
+    });
+
+    return { success: true, removed };
+  });
+
+  /**
+   * DELETE /admin/cache/misses
+   * Forget every negatively cached SKU so the next lookups go upstream
+   */
+  fastify.delete('/admin/cache/misses', async () => {
+    return { success: true, removed: clearCachedMisses() };
+  });
+
+  /**
+   * GET /admin/cache/:sku
+   * View one entry with its source, confidence and access stats
+   */
+  fastify.get('/admin/cache/:sku', async (request, reply) => {
+    const sku = normalizeSkuParam(request.params.sku, reply);
+    if (!sku) return reply;
+
+    const entry = getCacheEntry(sku);
+    if (!entry) {
+      return reply.status(404).send({ success: false, error: 'SKU not in cache' });
+    }
+
+    return { success: true, entry: formatEntry(entry) };
+  });
+
+  /**
+   * DELETE /admin/cache/:sku
+   */
+  fastify.delete('/admin/cache/:sku', async (request, reply) => {
+    const sku = normalizeSkuParam(request.params.sku, reply);
+    if (!sku) return reply;
+
+    if (!deleteCacheEntry(sku)) {
+      return reply.status(404).send({ success: false, error: 'SKU not in cache' });
+    }
+
+    return { success: true, deleted: sku };
+  });
+
+  /**
+   * PUT /admin/cache/:sku
+   * Store a manually corrected entry. It is pinned: it never expires and
+   * resolver results will not overwrite it.
+   */
+  fastify.put('/admin/cache/:sku', {
+    schema: {
+      body: {
+        type: 'object',
+        minProperties: 1,
+        properties: {
+          brand: { type: 'string' },
+          name: { type: 'string' },
+          model: { type: 'string' },
+          colorway: { type: 'string' },
+          category: { type: 'string' }
+        },
+        additionalProperties: false
+      }
+    }
+  }, async (request, reply) => {
+    const sku = normalizeSkuParam(request.params.sku, reply);
+    if (!sku) return reply;
+
+    const entry = pinCacheEntry(sku, request.body);
+    return { success: true, entry: formatEntry(entry) };
+  });
+
+  /**
+   * POST /admin/cache/:sku/pin and /unpin
+   * Toggle pinning without changing the cached data
+   */
+  for (const action of ['pin', 'unpin']) {
+    fastify.post(`/admin/cache/:sku/${action}`, async (request, reply) => {
+      const sku = normalizeSkuParam(request.params.sku, reply);
+      if (!sku) return reply;
+
+      if (!setCachePinned(sku, action === 'pin')) {
+        return reply.status(404).send({ success: false, error: 'SKU not in cache' });
+      }
+
+      return { success: true, entry: formatEntry(getCacheEntry(sku)) };
+    });
+  }
+
+  /**
+   * GET /admin/catalog
+   * List local catalog products
+   */
+  fastify.get('/admin/catalog', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          q: { type: 'string' },
+          limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+          offset: { type: 'integer', minimum: 0, default: 0 }
+        }
+      }
+    }
+  }, async (request) => {
+    const { q, limit, offset } = request.query;
+    const { total, entries } = listCatalogEntries({ query: q, limit, offset });
+
+    return { success: true, total, limit, offset, entries };
+  });
+
+  /**
+   * POST /admin/catalog
+   * Insert or update catalog products, given as JSON `items` or `csv` text
+   * (same columns as the import command). Cached results for those SKUs are
+   * dropped so the catalog data is served next.
+   */
+  fastify.post('/admin/catalog', {
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          items: { type: 'array', items: { type: 'object' }, minItems: 1 },
+          csv: { type: 'string', minLength: 1 },
+          replace: { type: 'boolean', default: false }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { items, csv, replace } = request.body || {};
+
+    if (!items === !csv) {
+      return reply.status(400).send({
+        success: false,
+        error: 'Provide either items or csv'
+      });
+    }
+
+    let products = items;
+    if (csv) {
+      try {
+        products = parseCatalogFile(csv, 'csv');
+      } catch (error) {
+        return reply.status(400).send({ success: false, error: `Unreadable CSV: ${error.message}` });
+      }
+    }
+
+    const result = upsertCatalogEntries(products, { replace });
+    const invalidated = invalidateCacheEntries([...result.skus, ...result.removed]);
+
+    return {
+      success: true,
+      inserted: result.inserted,
+      updated: result.updated,
+      removed: result.removed.length,
+      skipped: result.skipped,
+      cache_invalidated: invalidated
+    };
+  });
+
+  /**
+   * DELETE /admin/catalog/:sku
+   */
+  fastify.delete('/admin/catalog/:sku', async (request, reply) => {
+    const sku = normalizeSkuParam(request.params.sku, reply);
+    if (!sku) return reply;
+
+    if (!deleteCatalogEntry(sku)) {
+      return reply.status(404).send({ success: false, error: 'SKU not in catalog' });
+    }
+
+    invalidateCacheEntries([sku]);
+    return { success: true, deleted: sku };
+  });
+
+  const keyLimits = {
+    scopes: { type: 'array', items: { type: 'string', enum: API_SCOPES }, minItems: 1, uniqueItems: true },
+    rate_limit: { type: ['integer', 'null'], minimum: 1 },
+    daily_quota: { type: ['integer', 'null'], minimum: 1 }
+  };
+
+  /**
+   * GET /admin/keys
+   * List API keys (never the keys themselves), revoked ones included
+   */
+  fastify.get('/admin/keys', async () => {
+    return { success: true, keys: listApiKeys().map(formatKey) };
+  });
+
+  /**
+   * POST /admin/keys
+   * Create a key. The plain key is only returned here; store it right away.
+   */
+  fastify.post('/admin/keys', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          ...keyLimits
+        },
+        additionalProperties: false
+      }
+    }
+  }, async (request, reply) => {
+    const { name, scopes, rate_limit, daily_quota } = request.body;
+    const { key, record } = createApiKey({
+      name,
+      scopes,
+      rateLimit: rate_limit ?? null,
+      dailyQuota: daily_quota ?? null
+    });
+
+    return reply.status(201).send({ success: true, key, api_key: formatKey(record) });
+  });
+
+  /**
+   * PATCH /admin/keys/:id
+   * Change a key's name, scopes or limits (null clears a limit)
+   */
+  fastify.patch('/admin/keys/:id', {
+    schema: {
+      body: {
+        type: 'object',
+        minProperties: 1,
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          ...keyLimits
+        },
+        additionalProperties: false
+      }
+    }
+  }, async (request, reply) => {
+    const { name, scopes, rate_limit, daily_quota } = request.body;
+    const record = updateApiKey(request.params.id, {
+      name,
+      scopes,
+      rateLimit: rate_limit,
+      dailyQuota: daily_quota
+    });
+
+    if (!record) {
+      return reply.status(404).send({ success: false, error: 'API key not found' });
+    }
+
+    return { success: true, api_key: formatKey(record) };
+  });
+
+  /**
+   * DELETE /admin/keys/:id
+   * Revoke a key. It stays listed, with its usage, but stops working.
+   */
+  fastify.delete('/admin/keys/:id', async (request, reply) => {
+    if (!getApiKey(request.params.id)) {
+      return reply.status(404).send({ success: false, error: 'API key not found' });
+    }
+
+    return { success: true, api_key: formatKey(revokeApiKey(request.params.id)) };
+  });
+
+  /**
+   * GET /admin/usage
+   * Requests, lookups, cache hits, upstream and OCR calls and estimated cost
+   * per key and UTC day (default: the last 7 days)
+   */
+  fastify.get('/admin/usage', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          from: { type: 'string', format: 'date' },
+          to: { type: 'string', format: 'date' },
+          key_id: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const to = request.query.to || usageDay();
+    const from = request.query.from || usageDay(Date.parse(to) - (USAGE_REPORT_DAYS - 1) * DAY_MS);
+
+    if (from > to) {
+      return reply.status(400).send({ success: false, error: '`from` must not be after `to`' });
+    }
+
+    return { success: true, ...getUsageReport({ from, to, keyId: request.query.key_id }) };
+  });
+}
+
+/**
+ * Shape an API key record for responses (no hash)
+ */
+function formatKey(record) {
+  const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+  return {
+    id: record.id,
+    name: record.name,
+    key_prefix: record.keyPrefix,
+    scopes: record.scopes,
+    rate_limit: record.rateLimit,
+    daily_quota: record.dailyQuota,
+    created_at: toIso(record.createdAt),
+    last_used_at: toIso(record.lastUsedAt),
+    revoked_at: toIso(record.revokedAt)
+  };
+}
+
+/**
+ * Validate a :sku route param, sending a 400 if invalid
+ * @returns {string|null} Normalized SKU
+ */
+function normalizeSkuParam(sku, reply) {
+  const validation = validateSkuQuery(sku);
+  if (!validation.valid) {
+    reply.status(400).send({ success: false, error: validation.error });
+    return null;
+  }
+  return validation.normalized;
+}
+
+/**
+ * Shape a cache entry for API responses
+ */
+function formatEntry(entry) {
+  const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+  return {
+    sku: entry.sku,
+    brand: entry.brand,
+    source: entry.source,
+    confidence: entry.confidence,
+    pinned: entry.pinned,
+    hit_count: entry.hitCount,
+    created_at: toIso(entry.createdAt),
+    updated_at: toIso(entry.updatedAt),
+    last_accessed_at: toIso(entry.lastAccessedAt),
+    expires_at: toIso(entry.expiresAt),
+    market_updated_at: toIso(entry.marketUpdatedAt),
+    data: entry.data,
+    market: entry.market
+  };
+}
@@ -1,4 +1,10 @@
+import { checkReadiness } from '../services/health.js';
+
 export default async function healthRoutes(fastify) {
+  /**
+   * GET /health
+   * Liveness: the process is up and answering
+   */
   fastify.get('/health', async (request, reply) => {
     return {
       status: 'ok',
@@ -6,4 +12,18 @@ export default async function healthRoutes(fastify) {
       service: 'sole-resolver'
     };
   });
+
+  /**
+   * GET /health/ready
+   * Readiness: status of each dependency. 200 when ok or degraded,
+   * 503 when unavailable.
+   */
+  fastify.get('/health/ready', async (request, reply) => {
+    const readiness = await checkReadiness();
+
+    return reply.status(readiness.status === 'unavailable' ? 503 : 200).send({
+      ...readiness,
+      service: 'sole-resolver'
+    });
+  });
 }
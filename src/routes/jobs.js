@@ -0,0 +1,21 @@
+import { getJob, formatJob } from '../services/jobs.js';
+
+export default async function jobRoutes(fastify) {
+  /**
+   * GET /jobs/:id
+   * Status of an async scan or batch; `result` holds the payload once completed.
+   * Jobs created with an API key are only visible to that key.
+   */
+  fastify.get('/jobs/:id', async (request, reply) => {
+    if (request.apiKeyInvalid) {
+      return reply.status(401).send({ success: false, error: 'Invalid or revoked API key' });
+    }
+
+    const job = getJob(request.params.id);
+    if (!job || (job.keyId && job.keyId !== request.apiKey?.id)) {
+      return reply.status(404).send({ success: false, error: 'Job not found or expired' });
+    }
+
+    return { success: true, ...formatJob(job) };
+  });
+}
@@ -0,0 +1,21 @@
+import { renderMetrics } from '../utils/metrics.js';
+import { getRequestApiKey, safeEqual } from '../utils/auth.js';
+
+export default async function metricsRoutes(fastify) {
+  /**
+   * GET /metrics
+   * Prometheus text format. Set METRICS_API_KEY to require it as a bearer token.
+   */
+  fastify.get('/metrics', async (request, reply) => {
+    const metricsKey = process.env.METRICS_API_KEY;
+    if (metricsKey && !safeEqual(getRequestApiKey(request), metricsKey)) {
+      return reply.status(401).send({
+        success: false,
+        error: 'Invalid or missing metrics API key'
+      });
+    }
+
+    reply.header('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    return renderMetrics();
+  });
+}
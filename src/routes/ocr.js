@@ -1,8 +1,16 @@
 import { extractTextFromImage, isOcrConfigured } from '../services/ocr.js';
+import { scanImage, scanImages, getScanMaxImages, recordOcrResult } from '../services/scan.js';
+import { decodeBarcode } from '../services/barcode.js';
+import { createJob, formatJob, isWebhookConfigured } from '../services/jobs.js';
 import { resolve } from '../resolvers/index.js';
 import { validateImageData } from '../utils/validation.js';
+import { requireScope, enforceQuota } from '../utils/auth.js';
+import { checkCallbackUrl } from '../utils/callback-url.js';
 
 export default async function ocrRoutes(fastify) {
+  fastify.addHook('onRequest', requireScope('scan'));
+  fastify.addHook('preHandler', enforceQuota);
+
   /**
    * POST /ocr
    * Extract text from a shoe tag image
@@ -21,9 +29,10 @@ export default async function ocrRoutes(fastify) {
   }, async (request, reply) => {
     // Check if OCR is configured
     if (!isOcrConfigured()) {
+      recordOcrResult('ocr', 'not_configured');
       return reply.status(503).send({
         success: false,
-        error: 'OCR service not configured. Set GOOGLE_APPLICATION_CREDENTIALS or GOOGLE_CREDENTIALS_BASE64.'
+        error: 'OCR service not configured. Set OCR_PROVIDER, GOOGLE_APPLICATION_CREDENTIALS or GOOGLE_CREDENTIALS_BASE64.'
       });
     }
 
@@ -32,6 +41,7 @@ export default async function ocrRoutes(fastify) {
     // Validate image data
     const validation = validateImageData(image);
     if (!validation.valid) {
+      recordOcrResult('ocr', 'invalid_image');
       return reply.status(400).send({
         success: false,
         error: validation.error
@@ -40,15 +50,18 @@ export default async function ocrRoutes(fastify) {
 
     try {
       // Extract text from image
-      const ocrResult = await extractTextFromImage(image);
+      const ocrResult = await extractTextFromImage(image, { keyId: request.apiKey?.id });
       
       if (!ocrResult.success) {
+        recordOcrResult('ocr', 'ocr');
         return reply.status(400).send(ocrResult);
       }
 
+      recordOcrResult('ocr', 'success');
+
       // If auto_resolve is enabled and we found a SKU, resolve it
       if (auto_resolve && ocrResult.extracted.sku) {
-        const resolveResult = await resolve(ocrResult.extracted.sku);
+        const resolveResult = await resolve(ocrResult.extracted.sku, { keyId: request.apiKey?.id });
         
         return {
           success: true,
@@ -60,6 +73,7 @@ export default async function ocrRoutes(fastify) {
       return ocrResult;
     } catch (error) {
       fastify.log.error(error);
+      recordOcrResult('ocr', 'error');
       return reply.status(500).send({
         success: false,
         error: 'OCR processing failed'
@@ -67,75 +81,136 @@ export default async function ocrRoutes(fastify) {
     }
   });
 
+  /**
+   * POST /barcode
+   * Read the UPC/EAN barcode on a shoebox label (decoded locally, no OCR needed)
+   */
+  fastify.post('/barcode', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['image'],
+        properties: {
+          image: { type: 'string' },
+          auto_resolve: { type: 'boolean', default: false }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { image, auto_resolve } = request.body;
+
+    const validation = validateImageData(image);
+    if (!validation.valid) {
+      return reply.status(400).send({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    try {
+      const barcode = await decodeBarcode(image);
+      if (!barcode.success) {
+        return reply.status(400).send(barcode);
+      }
+
+      // The resolution carries the SKU and size the barcode stands for
+      if (auto_resolve) {
+        const resolveResult = await resolve(barcode.code, { keyId: request.apiKey?.id });
+
+        return {
+          ...barcode,
+          resolved: resolveResult.success ? resolveResult : null
+        };
+      }
+
+      return barcode;
+    } catch (error) {
+      fastify.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'Barcode processing failed'
+      });
+    }
+  });
+
   /**
    * POST /scan
    * All-in-one endpoint: OCR + Resolve + Return complete result
-   * Designed for mobile app usage
+   * Designed for mobile app usage. Send `images` (several photos of the same
+   * shoe) instead of `image` to vote across them. With `barcode`, box label
+   * barcodes are decoded before OCR. With `async` (or a
+   * `callback_url`) it replies 202 with a job ID; the job result is this same payload.
    */
   fastify.post('/scan', {
+    // Room for every image at the 10MB limit, base64-encoded
+    bodyLimit: getScanMaxImages() * 14 * 1024 * 1024,
     schema: {
       body: {
         type: 'object',
-        required: ['image'],
+        anyOf: [{ required: ['image'] }, { required: ['images'] }],
         properties: {
-          image: { type: 'string' }
+          image: { type: 'string' },
+          images: { type: 'array', minItems: 1, items: { type: 'string' } },
+          explain: { type: 'boolean', default: false },
+          barcode: { type: 'boolean', default: false },
+          async: { type: 'boolean', default: false },
+          callback_url: { type: 'string', format: 'uri', pattern: '^https?://' }
         }
       }
     }
   }, async (request, reply) => {
     if (!isOcrConfigured()) {
+      recordOcrResult('scan', 'not_configured');
       return reply.status(503).send({
         success: false,
         error: 'OCR service not configured'
       });
     }
 
-    const { image } = request.body;
+    const { image, images, explain, barcode, async: runAsync, callback_url } = request.body;
 
-    const validation = validateImageData(image);
-    if (!validation.valid) {
+    const maxImages = getScanMaxImages();
+    if (images && images.length > maxImages) {
       return reply.status(400).send({
         success: false,
-        error: validation.error
+        error: `Too many images (maximum ${maxImages} per scan)`
       });
     }
 
-    try {
-      // Step 1: OCR
-      const ocrResult = await extractTextFromImage(image);
-      
-      if (!ocrResult.success) {
-        return {
+    for (const [index, data] of (images || [image]).entries()) {
+      const validation = validateImageData(data);
+      if (!validation.valid) {
+        recordOcrResult('scan', 'invalid_image');
+        return reply.status(400).send({
           success: false,
-          step_failed: 'ocr',
-          error: ocrResult.error
-        };
+          error: images ? `images[${index}]: ${validation.error}` : validation.error
+        });
       }
+    }
 
-      // Step 2: Check if we found a SKU
-      if (!ocrResult.extracted.sku) {
-        return {
+    if (runAsync || callback_url) {
+      if (callback_url && !isWebhookConfigured()) {
+        return reply.status(503).send({
           success: false,
-          step_failed: 'sku_extraction',
-          error: 'No SKU detected in image',
-          raw_text: ocrResult.raw_text,
-          us_size: ocrResult.extracted.us_size
-        };
+          error: 'Webhooks not configured. Set WEBHOOK_SECRET.'
+        });
+      }
+
+      const refused = callback_url ? await checkCallbackUrl(callback_url) : null;
+      if (refused) {
+        return reply.status(400).send({ success: false, error: refused });
       }
 
-      // Step 3: Resolve the SKU
-      const resolveResult = await resolve(ocrResult.extracted.sku);
-
-      return {
-        success: resolveResult.success,
-        sku: ocrResult.extracted.sku,
-        us_size: ocrResult.extracted.us_size,
-        brand_hint: ocrResult.extracted.brand_hint,
-        resolved: resolveResult.success ? resolveResult.resolved : null,
-        confidence: resolveResult.confidence,
-        source: resolveResult.source,
-        raw_text: ocrResult.raw_text
-      };
+      const job = createJob('scan', images ? { images, explain, barcode } : { image, explain, barcode }, {
+        keyId: request.apiKey?.id,
+        callbackUrl: callback_url ?? null
+      });
+      return reply.status(202).send({ success: true, ...formatJob(job) });
+    }
+
+    try {
+      const options = { explain, barcode, keyId: request.apiKey?.id };
+      return await (images ? scanImages(images, options) : scanImage(image, options));
     } catch (error) {
       fastify.log.error(error);
       return reply.status(500).send({
@@ -1,7 +1,17 @@
 import { resolve } from '../resolvers/index.js';
+import { resolveBatch, getBatchMaxSize } from '../services/batch.js';
+import { createJob, formatJob, isWebhookConfigured } from '../services/jobs.js';
+import { convertSize, parseSizeInput } from '../services/size-converter.js';
+import { withMarketSize } from '../services/market.js';
 import { validateSkuQuery } from '../utils/validation.js';
+import { sendResult } from '../utils/errors.js';
+import { requireScope, enforceQuota } from '../utils/auth.js';
+import { checkCallbackUrl } from '../utils/callback-url.js';
 
 export default async function resolveRoutes(fastify) {
+  fastify.addHook('onRequest', requireScope('resolve'));
+  fastify.addHook('preHandler', enforceQuota);
+
   /**
    * POST /resolve
    * Resolve a SKU to sneaker metadata
@@ -12,12 +22,17 @@ export default async function resolveRoutes(fastify) {
         type: 'object',
         required: ['query'],
         properties: {
-          query: { type: 'string' }
+          query: { type: 'string' },
+          size: { anyOf: [{ type: 'string' }, { type: 'number' }] },
+          correct: { type: 'boolean', default: true },
+          bypass_negative_cache: { type: 'boolean', default: false },
+          consensus: { type: 'boolean', default: false },
+          explain: { type: 'boolean', default: false }
         }
       }
     }
   }, async (request, reply) => {
-    const { query } = request.body;
+    const { query, size, correct, bypass_negative_cache, consensus, explain } = request.body;
 
     // Validate input
     const validation = validateSkuQuery(query);
@@ -28,9 +43,23 @@ export default async function resolveRoutes(fastify) {
       });
     }
 
+    const sizeInput = size != null ? parseSizeInput(size) : null;
+    if (size != null && !sizeInput) {
+      return reply.status(400).send({
+        success: false,
+        error: 'Size not understood (examples: 10, "W 8.5", "UK 9", "EU 44")'
+      });
+    }
+
     try {
-      const result = await resolve(validation.normalized);
-      return result;
+      const result = await resolve(validation.normalized, {
+        correct,
+        bypassNegativeCache: bypass_negative_cache,
+        consensus,
+        explain,
+        keyId: request.apiKey?.id
+      });
+      return sendResult(reply, withSizes(result, sizeInput));
     } catch (error) {
       fastify.log.error(error);
       return reply.status(500).send({
@@ -40,12 +69,98 @@ export default async function resolveRoutes(fastify) {
     }
   });
 
+  /**
+   * POST /resolve/batch
+   * Resolve many SKUs in one request (one call against the rate limit, one
+   * daily quota unit per query)
+   * With `async` (or a `callback_url`) it replies 202 with a job ID instead
+   */
+  fastify.post('/resolve/batch', {
+    // One quota unit per query (an oversized batch is rejected below, as one request)
+    config: {
+      quotaCost: (request) => (request.body.queries.length <= getBatchMaxSize() ? request.body.queries.length : 1)
+    },
+    schema: {
+      body: {
+        type: 'object',
+        required: ['queries'],
+        properties: {
+          queries: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string' }
+          },
+          bypass_negative_cache: { type: 'boolean', default: false },
+          async: { type: 'boolean', default: false },
+          callback_url: { type: 'string', format: 'uri', pattern: '^https?://' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { queries, bypass_negative_cache, async: runAsync, callback_url } = request.body;
+
+    const maxSize = getBatchMaxSize();
+    if (queries.length > maxSize) {
+      return reply.status(400).send({
+        success: false,
+        error: `Too many queries (maximum ${maxSize} per batch)`
+      });
+    }
+
+    if (runAsync || callback_url) {
+      if (callback_url && !isWebhookConfigured()) {
+        return reply.status(503).send({
+          success: false,
+          error: 'Webhooks not configured. Set WEBHOOK_SECRET.'
+        });
+      }
+
+      const refused = callback_url ? await checkCallbackUrl(callback_url) : null;
+      if (refused) {
+        return reply.status(400).send({ success: false, error: refused });
+      }
+
+      const job = createJob('batch', { queries, bypass_negative_cache }, {
+        keyId: request.apiKey?.id,
+        callbackUrl: callback_url ?? null
+      });
+      return reply.status(202).send({ success: true, ...formatJob(job) });
+    }
+
+    try {
+      return await resolveBatch(queries, {
+        bypassNegativeCache: bypass_negative_cache,
+        keyId: request.apiKey?.id
+      });
+    } catch (error) {
+      fastify.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'Batch resolution failed'
+      });
+    }
+  });
+
   /**
    * GET /resolve/:sku
    * Alternative GET endpoint for quick lookups
    */
-  fastify.get('/resolve/:sku', async (request, reply) => {
+  fastify.get('/resolve/:sku', {
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          size: { type: 'string' },
+          correct: { type: 'boolean', default: true },
+          bypass_negative_cache: { type: 'boolean', default: false },
+          consensus: { type: 'boolean', default: false },
+          explain: { type: 'boolean', default: false }
+        }
+      }
+    }
+  }, async (request, reply) => {
     const { sku } = request.params;
+    const { size, correct, bypass_negative_cache, consensus, explain } = request.query;
 
     const validation = validateSkuQuery(sku);
     if (!validation.valid) {
@@ -55,9 +170,23 @@ export default async function resolveRoutes(fastify) {
       });
     }
 
+    const sizeInput = size != null ? parseSizeInput(size) : null;
+    if (size != null && !sizeInput) {
+      return reply.status(400).send({
+        success: false,
+        error: 'Size not understood (examples: 10, "W 8.5", "UK 9", "EU 44")'
+      });
+    }
+
     try {
-      const result = await resolve(validation.normalized);
-      return result;
+      const result = await resolve(validation.normalized, {
+        correct,
+        bypassNegativeCache: bypass_negative_cache,
+        consensus,
+        explain,
+        keyId: request.apiKey?.id
+      });
+      return sendResult(reply, withSizes(result, sizeInput));
     } catch (error) {
       fastify.log.error(error);
       return reply.status(500).send({
@@ -67,3 +196,35 @@ export default async function resolveRoutes(fastify) {
     }
   });
 }
+
+/**
+ * Attach equivalent sizes to a resolution, using the brand from its
+ * classification (or the resolved brand when the SKU pattern is unknown),
+ * and the matching size's market prices when the source lists them.
+ * Without a requested size, a barcode's own size is used.
+ */
+function withSizes(result, requested) {
+  const sizeInput = requested || (result.barcode?.size ? parseSizeInput(result.barcode.size) : null);
+  if (!sizeInput) return result;
+
+  const classified = result.classification?.brand;
+  const brand = classified && classified !== 'Unknown'
+    ? classified
+    : result.resolved?.brand || null;
+
+  const conversion = convertSize({ ...sizeInput, brand });
+  if (!conversion.success) {
+    return { ...result, sizes: null, size_error: conversion.error };
+  }
+
+  return {
+    ...result,
+    market: withMarketSize(result.market, conversion.sizes),
+    sizes: {
+      ...conversion.sizes,
+      chart: conversion.chart,
+      input: conversion.input,
+      interpolated: conversion.interpolated
+    }
+  };
+}
@@ -0,0 +1,69 @@
+import { search } from '../resolvers/index.js';
+import { validateSearchQuery } from '../utils/validation.js';
+import { sendResult } from '../utils/errors.js';
+import { requireScope, enforceQuota } from '../utils/auth.js';
+
+export default async function searchRoutes(fastify) {
+  fastify.addHook('onRequest', requireScope('resolve'));
+  fastify.addHook('preHandler', enforceQuota);
+
+  /**
+   * POST /search
+   * Find products by name when there is no SKU to resolve
+   */
+  fastify.post('/search', {
+    schema: {
+      body: {
+        type: 'object',
+        required: ['query'],
+        properties: {
+          query: { type: 'string' },
+          limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { query, limit } = request.body;
+    return handleSearch(query, limit, request, reply);
+  });
+
+  /**
+   * GET /search?q=
+   * Alternative GET endpoint for quick lookups
+   */
+  fastify.get('/search', {
+    schema: {
+      querystring: {
+        type: 'object',
+        required: ['q'],
+        properties: {
+          q: { type: 'string' },
+          limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { q, limit } = request.query;
+    return handleSearch(q, limit, request, reply);
+  });
+
+  async function handleSearch(query, limit, request, reply) {
+    const validation = validateSearchQuery(query);
+    if (!validation.valid) {
+      return reply.status(400).send({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    try {
+      return sendResult(reply, await search(validation.normalized, { limit, keyId: request.apiKey?.id }));
+    } catch (error) {
+      fastify.log.error(error);
+      return reply.status(500).send({
+        success: false,
+        error: 'Search failed'
+      });
+    }
+  }
+}
@@ -0,0 +1,44 @@
+import { convertSize, listSizeCharts } from '../services/size-converter.js';
+import { requireScope, enforceQuota } from '../utils/auth.js';
+
+export default async function sizeRoutes(fastify) {
+  fastify.addHook('onRequest', requireScope('resolve'));
+  fastify.addHook('preHandler', enforceQuota);
+
+  /**
+   * GET /sizes/convert
+   * Convert a size between regions using the brand's chart.
+   * Pass `brand` directly or a `sku` to classify.
+   */
+  fastify.get('/sizes/convert', {
+    schema: {
+      querystring: {
+        type: 'object',
+        required: ['size'],
+        properties: {
+          size: { type: 'number' },
+          brand: { type: 'string' },
+          sku: { type: 'string' },
+          region: { type: 'string', enum: ['us', 'uk', 'eu', 'cm', 'jp'], default: 'us' },
+          gender: { type: 'string', enum: ['men', 'women'], default: 'men' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const result = convertSize(request.query);
+
+    if (!result.success) {
+      return reply.status(400).send(result);
+    }
+
+    return result;
+  });
+
+  /**
+   * GET /sizes/charts
+   * List the brand charts available for conversion
+   */
+  fastify.get('/sizes/charts', async () => {
+    return { success: true, charts: listSizeCharts() };
+  });
+}
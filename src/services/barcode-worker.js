@@ -0,0 +1,176 @@
+/**
+ * Barcode decoding worker
+ * Runs in a worker thread started by services/barcode.js, so decoding a
+ * large photo never blocks the server's event loop. One message per image:
+ *   { id, image, deadline } → { id, result, code?, format?, gtin?, error? }
+ * `result` is found, not_found, unsupported, too_large, timeout or error.
+ *
+ * Large photos are scaled down before scanning (bars stay several pixels
+ * wide), and each photo is also tried rotated 90° for labels shot sideways,
+ * unless `deadline` (epoch ms) has passed by then.
+ */
+
+import { parentPort } from 'node:worker_threads';
+import zxing from '@zxing/library';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import { classifyBarcode } from '../classifiers/barcode.js';
+
+const {
+  BarcodeFormat,
+  BinaryBitmap,
+  DecodeHintType,
+  GlobalHistogramBinarizer,
+  HybridBinarizer,
+  MultiFormatOneDReader,
+  RGBLuminanceSource
+} = zxing;
+
+// Longest side scanned; phone photos are 3000-4000px
+const MAX_SIDE = 1600;
+
+// Larger images are refused before their pixels are allocated
+const MAX_MEGAPIXELS = 24;
+
+const FORMATS = {
+  [BarcodeFormat.UPC_A]: 'upc_a',
+  [BarcodeFormat.EAN_13]: 'ean_13'
+};
+
+parentPort.on('message', ({ id, image, deadline }) => {
+  let outcome;
+  try {
+    outcome = decode(image, deadline);
+  } catch (error) {
+    outcome = { result: 'error', error: `Barcode decoding failed: ${error.message}` };
+  }
+  parentPort.postMessage({ id, ...outcome });
+});
+
+function decode(imageBase64, deadline) {
+  const image = Buffer.from(imageBase64.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+
+  const size = imageSize(image);
+  if (!size) {
+    return { result: 'unsupported', error: 'Barcode decoding supports JPEG and PNG images' };
+  }
+  if (size.width * size.height > MAX_MEGAPIXELS * 1e6) {
+    return { result: 'too_large', error: `Image is over ${MAX_MEGAPIXELS} megapixels` };
+  }
+
+  let pixels;
+  try {
+    pixels = size.type === 'jpeg'
+      ? jpeg.decode(image, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_MEGAPIXELS })
+      : PNG.sync.read(image);
+  } catch (error) {
+    return { result: 'error', error: `Image could not be decoded: ${error.message}` };
+  }
+
+  const upright = toLuminance(pixels);
+  for (const source of [() => upright, () => rotate(upright)]) {
+    if (Date.now() > deadline) {
+      return { result: 'timeout', error: 'Barcode decoding ran out of time' };
+    }
+
+    const text = scan(source(), deadline);
+    const barcode = text && classifyBarcode(text.value);
+    if (barcode?.valid) {
+      return { result: 'found', code: barcode.code, format: FORMATS[text.format] || barcode.format, gtin: barcode.gtin };
+    }
+  }
+
+  return { result: 'not_found', error: 'No UPC/EAN barcode found in image' };
+}
+
+/**
+ * Type and dimensions from the JPEG SOF or PNG IHDR header
+ * @returns {{ type: 'jpeg'|'png', width: number, height: number }|null} null for other formats
+ */
+function imageSize(image) {
+  if (image.subarray(0, 4).toString('latin1') === '\x89PNG' && image.length >= 24) {
+    return { type: 'png', width: image.readUInt32BE(16), height: image.readUInt32BE(20) };
+  }
+
+  if (image[0] !== 0xff || image[1] !== 0xd8) return null;
+
+  // Walk the segments up to the frame header (SOF0-SOF15, except DHT, JPG and DAC)
+  let offset = 2;
+  while (offset + 9 < image.length) {
+    if (image[offset] !== 0xff) return null;
+    const marker = image[offset + 1];
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { type: 'jpeg', width: image.readUInt16BE(offset + 7), height: image.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + image.readUInt16BE(offset + 2);
+  }
+
+  return null;
+}
+
+/**
+ * Grey levels, box-averaged down to MAX_SIDE
+ */
+function toLuminance({ width, height, data }) {
+  const step = Math.max(1, Math.ceil(Math.max(width, height) / MAX_SIDE));
+  const outWidth = Math.floor(width / step);
+  const outHeight = Math.floor(height / step);
+  const luminance = new Uint8ClampedArray(outWidth * outHeight);
+
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < step; dy++) {
+        let i = ((y * step + dy) * width + x * step) * 4;
+        for (let dx = 0; dx < step; dx++, i += 4) {
+          // Green-weighted, as zxing does for RGB sources
+          sum += (data[i] + 2 * data[i + 1] + data[i + 2]) / 4;
+        }
+      }
+      luminance[y * outWidth + x] = sum / (step * step);
+    }
+  }
+
+  return { width: outWidth, height: outHeight, luminance };
+}
+
+/**
+ * Rotate 90° clockwise (zxing's RGB source cannot rotate itself)
+ */
+function rotate({ width, height, luminance }) {
+  const rotated = new Uint8ClampedArray(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      rotated[x * height + (height - 1 - y)] = luminance[y * width + x];
+    }
+  }
+
+  return { width: height, height: width, luminance: rotated };
+}
+
+/**
+ * Look for a barcode with both binarizers (the global one suits 1D codes on
+ * even lighting, the hybrid one copes with shadows)
+ * @returns {{ value: string, format: number }|null}
+ */
+function scan({ width, height, luminance }, deadline) {
+  const hints = new Map([
+    [DecodeHintType.POSSIBLE_FORMATS, [BarcodeFormat.UPC_A, BarcodeFormat.EAN_13]],
+    [DecodeHintType.TRY_HARDER, true]
+  ]);
+  const reader = new MultiFormatOneDReader(hints);
+  const source = new RGBLuminanceSource(luminance, width, height);
+
+  for (const Binarizer of [GlobalHistogramBinarizer, HybridBinarizer]) {
+    if (Date.now() > deadline) break;
+    try {
+      const result = reader.decode(new BinaryBitmap(new Binarizer(source)), hints);
+      return { value: result.getText(), format: result.getBarcodeFormat() };
+    } catch {
+      // NotFound, Checksum or Format exception: nothing readable with this binarizer
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,132 @@
+/**
+ * Barcode Service
+ * Reads the UPC/EAN barcode on shoebox labels from uploaded photos, locally:
+ * pixels are decoded with jpeg-js / pngjs and scanned with @zxing/library,
+ * so no image leaves the server and no OCR call is billed.
+ *
+ * Decoding a phone photo takes a second or more of CPU, so it runs in a
+ * small pool of worker threads (barcode-worker.js, BARCODE_WORKERS, default 1)
+ * instead of on the event loop; images wait their turn. Each image gets
+ * BARCODE_TIMEOUT_MS (default 5000): passes left when it runs out are
+ * skipped, and a worker that has still not answered a second later is
+ * replaced.
+ */
+
+import { Worker } from 'node:worker_threads';
+import { counter } from '../utils/metrics.js';
+
+const WORKER_URL = new URL('./barcode-worker.js', import.meta.url);
+const DEFAULT_WORKERS = 1;
+const DEFAULT_TIMEOUT_MS = 5000;
+const GRACE_MS = 1000;
+
+const barcodeReads = counter('sole_barcode_reads_total', 'Barcode decoding attempts by result (found, not_found, unsupported, too_large, timeout, error)', ['result']);
+
+// { worker, task } per worker thread; task is the image being decoded, or null
+const workers = [];
+const queue = [];
+let nextTaskId = 1;
+
+/**
+ * Decode the UPC-A / EAN-13 barcode in an image
+ * A photo without a readable barcode is reported, not thrown.
+ *
+ * @param {string} imageBase64 - Base64 JPEG or PNG, with or without a data URL prefix
+ * @returns {Promise<{ success: boolean, code?: string, format?: string, gtin?: string, error?: string }>}
+ */
+export async function decodeBarcode(imageBase64) {
+  const { result, code, format, gtin, error } = await new Promise(resolve => {
+    queue.push({ id: nextTaskId++, image: imageBase64, resolve });
+    pump();
+  });
+
+  barcodeReads.inc({ result });
+  return result === 'found' ? { success: true, code, format, gtin } : { success: false, error };
+}
+
+/**
+ * Stop the worker threads; images still waiting are reported as failed
+ */
+export async function closeBarcode() {
+  for (const task of queue.splice(0)) {
+    task.resolve({ result: 'error', error: 'Barcode decoding stopped' });
+  }
+  await Promise.all([...workers].map(slot => retire(slot, { result: 'error', error: 'Barcode decoding stopped' })));
+}
+
+function pump() {
+  while (queue.length) {
+    let slot = workers.find(candidate => !candidate.task);
+    if (!slot) {
+      if (workers.length >= getWorkerCount()) return;
+      slot = spawn();
+    }
+    run(slot, queue.shift());
+  }
+}
+
+function spawn() {
+  const slot = { worker: new Worker(WORKER_URL), task: null };
+  slot.worker.unref();
+
+  slot.worker.on('message', (message) => {
+    const { task } = slot;
+    if (!task || message.id !== task.id) return;
+
+    clearTimeout(task.timer);
+    slot.task = null;
+    task.resolve(message);
+    pump();
+  });
+  slot.worker.on('error', (error) => {
+    console.error('Barcode worker failed:', error.message);
+    retire(slot, { result: 'error', error: `Barcode decoding failed: ${error.message}` });
+  });
+  slot.worker.on('exit', () => retire(slot, { result: 'error', error: 'Barcode worker stopped' }));
+
+  workers.push(slot);
+  return slot;
+}
+
+function run(slot, task) {
+  const timeoutMs = getTimeoutMs();
+  slot.task = task;
+  task.timer = setTimeout(() => {
+    console.warn(`Barcode decoding did not finish within ${timeoutMs + GRACE_MS}ms, replacing its worker`);
+    retire(slot, { result: 'timeout', error: 'Barcode decoding timed out' });
+  }, timeoutMs + GRACE_MS);
+
+  slot.worker.postMessage({ id: task.id, image: task.image, deadline: Date.now() + timeoutMs });
+}
+
+/**
+ * Drop a worker (stuck, crashed or shutting down), failing its current image
+ */
+async function retire(slot, outcome) {
+  const index = workers.indexOf(slot);
+  if (index === -1) return;
+  workers.splice(index, 1);
+
+  if (slot.task) {
+    clearTimeout(slot.task.timer);
+    slot.task.resolve(outcome);
+    slot.task = null;
+  }
+
+  await slot.worker.terminate();
+  pump();
+}
+
+/**
+ * Worker threads (BARCODE_WORKERS, default 1)
+ */
+function getWorkerCount() {
+  return parseInt(process.env.BARCODE_WORKERS, 10) || DEFAULT_WORKERS;
+}
+
+/**
+ * Time budget per image (BARCODE_TIMEOUT_MS, default 5000)
+ */
+function getTimeoutMs() {
+  return parseInt(process.env.BARCODE_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+}
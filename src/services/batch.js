@@ -0,0 +1,91 @@
+/**
+ * Batch Resolution Service
+ * Validates, dedupes and resolves many SKUs in one call
+ */
+
+import { resolve } from '../resolvers/index.js';
+import { isCached } from '../db/cache.js';
+import { validateSkuQuery } from '../utils/validation.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Resolve a list of SKU queries
+ * - Each query is validated with validateSkuQuery; invalid ones get their own error
+ * - Normalized duplicates are resolved once and share the result
+ * - Every SKU goes through one bounded pool, cached ones first: a cached SKU
+ *   with stale market data still refreshes it upstream
+ *
+ * @param {Array<string>} queries
+ * @param {Object} [options]
+ * @param {number} [options.concurrency]
+ * @param {boolean} [options.bypassNegativeCache] - Passed to resolve()
+ * @param {string|null} [options.keyId] - Passed to resolve()
+ * @returns {Promise<Object>}
+ */
+export async function resolveBatch(queries, {
+  concurrency = getBatchConcurrency(),
+  bypassNegativeCache = false,
+  keyId = null
+} = {}) {
+  const startTime = Date.now();
+
+  const items = queries.map((query, index) => ({
+    index,
+    query,
+    validation: validateSkuQuery(query)
+  }));
+
+  const unique = [...new Set(
+    items.filter(item => item.validation.valid).map(item => item.validation.normalized)
+  )];
+
+  const cachedSkus = unique.filter(sku => isCached(sku));
+  const uncachedSkus = unique.filter(sku => !isCached(sku));
+
+  const resultsBySku = new Map();
+  const resolveOne = async (sku) => {
+    try {
+      resultsBySku.set(sku, await resolve(sku, { bypassNegativeCache, keyId }));
+    } catch (error) {
+      console.error(`Batch resolution failed for ${sku}:`, error.message);
+      resultsBySku.set(sku, { success: false, input: sku, error: 'Resolution failed' });
+    }
+  };
+
+  await mapWithConcurrency([...cachedSkus, ...uncachedSkus], concurrency, resolveOne);
+
+  const results = items.map(({ index, query, validation }) => {
+    if (!validation.valid) {
+      return { index, query, success: false, error: validation.error };
+    }
+
+    const result = resultsBySku.get(validation.normalized);
+    return { index, query, ...result };
+  });
+
+  return {
+    success: true,
+    count: items.length,
+    unique: unique.length,
+    cache_hits: cachedSkus.length,
+    resolved: results.filter(r => r.success).length,
+    results,
+    timing: Date.now() - startTime
+  };
+}
+
+/**
+ * Maximum SKUs per batch (BATCH_MAX_SIZE, default 250)
+ */
+export function getBatchMaxSize() {
+  return parseInt(process.env.BATCH_MAX_SIZE, 10) || 250;
+}
+
+/**
+ * Parallel upstream lookups per batch (BATCH_CONCURRENCY, default 4)
+ */
+function getBatchConcurrency() {
+  return parseInt(process.env.BATCH_CONCURRENCY, 10) || DEFAULT_CONCURRENCY;
+}
@@ -0,0 +1,384 @@
+/**
+ * Local Catalog
+ * Products we maintain ourselves (house brands, SKUs KicksDB does not carry),
+ * kept in a JSON file at CATALOG_PATH (default ./data/catalog.json) and
+ * looked up without any network access.
+ *
+ * The file is re-read when it changes on disk, so imports from the CLI are
+ * picked up by a running server.
+ *
+ * A product may list its box barcodes by size in `upcs`
+ * ({ "195866000018": "10" }, or "195866000018:10|195866000025:10.5" in CSV).
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { validateSkuQuery } from '../utils/validation.js';
+import { classifyBarcode } from '../classifiers/barcode.js';
+import { textSimilarity } from '../utils/similarity.js';
+
+const DEFAULT_CATALOG_PATH = './data/catalog.json';
+
+const FIELDS = [
+  'sku', 'name', 'brand', 'model', 'colorway', 'retail_price', 'currency',
+  'release_date', 'image', 'gender', 'category', 'upcs'
+];
+
+// Column names accepted for each field (CSV headers, JSON keys)
+const FIELD_ALIASES = {
+  retail: 'retail_price',
+  retailprice: 'retail_price',
+  price: 'retail_price',
+  releasedate: 'release_date',
+  release: 'release_date',
+  image_url: 'image',
+  imageurl: 'image',
+  title: 'name',
+  style_code: 'sku',
+  stylecode: 'sku',
+  upc: 'upcs',
+  barcode: 'upcs',
+  barcodes: 'upcs',
+  ean: 'upcs',
+  eans: 'upcs',
+  gtins: 'upcs'
+};
+
+// Loaded catalog: entries by SKU, plus the file state it was read from
+let loaded = { path: null, mtimeMs: null, entries: new Map() };
+
+/**
+ * Catalog file location, from CATALOG_PATH
+ * @returns {string}
+ */
+export function getCatalogPath() {
+  return process.env.CATALOG_PATH || DEFAULT_CATALOG_PATH;
+}
+
+/**
+ * Look up a SKU in the catalog
+ * Falls back to ignoring hyphens ("CW2288111" finds "CW2288-111").
+ *
+ * @param {string} sku - Normalized SKU
+ * @returns {{ entry: Object, exactMatch: boolean }|null}
+ */
+export function findCatalogEntry(sku) {
+  if (!sku) return null;
+
+  const entries = loadCatalog();
+  const normalized = sku.toUpperCase().trim();
+
+  const exact = entries.get(normalized);
+  if (exact) return { entry: exact, exactMatch: true };
+
+  const compact = normalized.replace(/-/g, '');
+  for (const entry of entries.values()) {
+    if (entry.sku.replace(/-/g, '') === compact) return { entry, exactMatch: false };
+  }
+
+  return null;
+}
+
+/**
+ * Look up a UPC/EAN barcode in the catalog's `upcs`
+ * @param {string} gtin - 13-digit GTIN
+ * @returns {{ entry: Object, size: string|null }|null}
+ */
+export function findCatalogEntryByUpc(gtin) {
+  for (const entry of loadCatalog().values()) {
+    if (entry.upcs && gtin in entry.upcs) return { entry, size: entry.upcs[gtin] };
+  }
+  return null;
+}
+
+/**
+ * Free-text search over catalog names
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.limit=10]
+ * @returns {Array<Object>} Entries, best match first
+ */
+export function searchCatalog(query, { limit = 10 } = {}) {
+  return [...loadCatalog().values()]
+    .map(entry => ({ entry, score: textSimilarity(query, catalogText(entry)) }))
+    .filter(({ score }) => score >= 0.5)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+}
+
+/**
+ * Number of products in the catalog
+ * @returns {number}
+ */
+export function getCatalogSize() {
+  return loadCatalog().size;
+}
+
+/**
+ * List catalog entries, sorted by SKU
+ * @param {Object} [options]
+ * @param {string} [options.query] - Matches SKU, name, brand or model
+ * @param {number} [options.limit=50]
+ * @param {number} [options.offset=0]
+ * @returns {{ total: number, entries: Array<Object> }}
+ */
+export function listCatalogEntries({ query, limit = 50, offset = 0 } = {}) {
+  const needle = query?.toUpperCase().trim();
+  const matching = [...loadCatalog().values()]
+    .filter(entry => !needle || [entry.sku, entry.name, entry.brand, entry.model]
+      .some(value => value?.toUpperCase().includes(needle)))
+    .sort((a, b) => a.sku.localeCompare(b.sku));
+
+  return { total: matching.length, entries: matching.slice(offset, offset + limit) };
+}
+
+/**
+ * Insert or update catalog entries and write the file
+ * Fields missing from an item keep their existing values.
+ *
+ * @param {Array<Object>} items - Raw items (any accepted column names)
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Drop every entry not in `items`
+ * @returns {{ inserted: number, updated: number, removed: Array<string>, skipped: Array<{ index: number, error: string }>, skus: Array<string> }}
+ */
+export function upsertCatalogEntries(items, { replace = false } = {}) {
+  const previous = loadCatalog();
+  const entries = replace ? new Map() : new Map(previous);
+  const result = { inserted: 0, updated: 0, removed: [], skipped: [], skus: [] };
+  const now = new Date().toISOString();
+
+  items.forEach((item, index) => {
+    const { entry, error } = normalizeCatalogItem(item);
+    if (error) {
+      result.skipped.push({ index, error });
+      return;
+    }
+
+    const existing = entries.get(entry.sku);
+    const merged = { ...(existing || {}), ...entry, updated_at: now };
+    if (!merged.name) {
+      result.skipped.push({ index, error: `${entry.sku}: name is required` });
+      return;
+    }
+
+    if (existing || previous.has(entry.sku)) result.updated += 1;
+    else result.inserted += 1;
+
+    entries.set(entry.sku, merged);
+    result.skus.push(entry.sku);
+  });
+
+  if (replace) {
+    result.removed = [...previous.keys()].filter(sku => !entries.has(sku));
+  }
+
+  if (result.skus.length || result.removed.length) saveCatalog(entries);
+  return result;
+}
+
+/**
+ * Remove a SKU from the catalog
+ * @param {string} sku
+ * @returns {boolean} Whether it existed
+ */
+export function deleteCatalogEntry(sku) {
+  const entries = new Map(loadCatalog());
+  const normalized = sku?.toUpperCase().trim();
+  if (!entries.delete(normalized)) return false;
+
+  saveCatalog(entries);
+  return true;
+}
+
+/**
+ * Parse catalog items from file contents
+ * JSON may be an array or { items: [...] }; CSV needs a header row.
+ *
+ * @param {string} text
+ * @param {'json'|'csv'} format
+ * @returns {Array<Object>}
+ * @throws {Error} When the contents cannot be parsed
+ */
+export function parseCatalogFile(text, format) {
+  if (format === 'csv') {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return [];
+
+    return rows.map(row => Object.fromEntries(header.map((column, i) => [column, row[i] ?? ''])));
+  }
+
+  const parsed = JSON.parse(text);
+  const items = Array.isArray(parsed) ? parsed : parsed?.items;
+  if (!Array.isArray(items)) {
+    throw new Error('Expected a JSON array of products or { "items": [...] }');
+  }
+  return items;
+}
+
+/**
+ * Validate and normalize one catalog item
+ * @param {Object} item
+ * @returns {{ entry?: Object, error?: string }}
+ */
+export function normalizeCatalogItem(item) {
+  if (!item || typeof item !== 'object') return { error: 'Item must be an object' };
+
+  const fields = {};
+  for (const [key, value] of Object.entries(item)) {
+    const column = key.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    const field = FIELD_ALIASES[column.replace(/_/g, '')] || FIELD_ALIASES[column] || column;
+    if (FIELDS.includes(field)) fields[field] = value;
+  }
+
+  const validation = validateSkuQuery(fields.sku == null ? '' : String(fields.sku));
+  if (!validation.valid) return { error: `Invalid SKU ${JSON.stringify(fields.sku ?? null)}: ${validation.error}` };
+  if (validation.barcode) return { error: `Invalid SKU ${JSON.stringify(fields.sku)}: this is a UPC/EAN barcode, list it in upcs` };
+
+  const entry = { sku: validation.normalized };
+  for (const field of FIELDS.slice(1)) {
+    if (!(field in fields)) continue;
+
+    const value = typeof fields[field] === 'string' ? fields[field].trim() : fields[field];
+    if (value === '' || value == null) continue;
+
+    if (field === 'retail_price') {
+      const price = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^\d.]/g, ''));
+      if (!Number.isFinite(price) || price <= 0) return { error: `${entry.sku}: retail price ${JSON.stringify(value)} is not a number` };
+      entry.retail_price = Math.round(price * 100) / 100;
+    } else if (field === 'upcs') {
+      const { upcs, error } = parseUpcs(value);
+      if (error) return { error: `${entry.sku}: ${error}` };
+      entry.upcs = upcs;
+    } else {
+      entry[field] = String(value);
+    }
+  }
+
+  if (entry.currency) entry.currency = entry.currency.toUpperCase();
+  return { entry };
+}
+
+/**
+ * Read the catalog file, reusing the parsed copy while it is unchanged
+ * A missing file is an empty catalog; an unreadable one keeps the last good copy.
+ */
+function loadCatalog() {
+  const file = getCatalogPath();
+
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(file).mtimeMs;
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.warn(`Catalog ${file} unreadable: ${error.message}`);
+  }
+
+  if (loaded.path === file && loaded.mtimeMs === mtimeMs) return loaded.entries;
+
+  if (mtimeMs == null) {
+    loaded = { path: file, mtimeMs, entries: new Map() };
+    return loaded.entries;
+  }
+
+  try {
+    const items = parseCatalogFile(fs.readFileSync(file, 'utf8'), 'json');
+    const entries = new Map();
+    for (const item of items) {
+      const { entry } = normalizeCatalogItem(item);
+      if (entry?.name) entries.set(entry.sku, { ...entry, updated_at: item.updated_at || null });
+    }
+    loaded = { path: file, mtimeMs, entries };
+  } catch (error) {
+    console.error(`Failed to load catalog ${file}:`, error.message);
+    if (loaded.path !== file) loaded = { path: file, mtimeMs, entries: new Map() };
+    else loaded.mtimeMs = mtimeMs;
+  }
+
+  return loaded.entries;
+}
+
+/**
+ * Write the catalog (via a temp file so readers never see half a file)
+ */
+function saveCatalog(entries) {
+  const file = getCatalogPath();
+  const items = [...entries.values()].sort((a, b) => a.sku.localeCompare(b.sku));
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, `${JSON.stringify(items, null, 2)}\n`);
+  fs.renameSync(temp, file);
+
+  loaded = { path: file, mtimeMs: fs.statSync(file).mtimeMs, entries: new Map(entries) };
+}
+
+/**
+ * Barcode → size map keyed by 13-digit GTIN
+ * Accepts { code: size }, [code] or "code:size|code:size" (a code without a size maps to null).
+ */
+function parseUpcs(value) {
+  let pairs;
+  if (Array.isArray(value)) pairs = value.map(code => [code, null]);
+  else if (typeof value === 'object') pairs = Object.entries(value);
+  else pairs = String(value).split(/[|;]/).filter(pair => pair.trim()).map(pair => pair.split(':'));
+
+  const upcs = {};
+  for (const [code, size] of pairs) {
+    const barcode = classifyBarcode(String(code).trim());
+    if (!barcode.valid) return { error: `${JSON.stringify(String(code).trim())} is not a valid UPC/EAN barcode` };
+
+    const label = size == null ? '' : String(size).trim();
+    upcs[barcode.gtin] = label || null;
+  }
+
+  return { upcs };
+}
+
+function catalogText(entry) {
+  return [entry.brand, entry.name, entry.colorway].filter(Boolean).join(' ');
+}
+
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields, doubled quotes, CRLF
+ * Blank lines are dropped.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
@@ -0,0 +1,180 @@
+/**
+ * Readiness checks
+ * Reports each dependency (resolvers, OCR, cache) and an overall status:
+ * - ok: everything configured and reachable
+ * - degraded: still answering, but something is missing or failing
+ *   (required resolver disabled or unreachable, open circuit, no OCR, cache fallback)
+ * - unavailable: new SKUs cannot be resolved, or the cache is failing
+ *
+ * Resolver probes hit the network, so their results are cached for
+ * HEALTH_PROBE_TTL_SECONDS (default 60) and concurrent checks share one probe.
+ */
+
+import fs from 'node:fs';
+import { listResolvers } from '../resolvers/index.js';
+import { getCircuitBreaker } from '../resolvers/circuit-breaker.js';
+import { getOcrProvider } from './ocr.js';
+import { getCacheHealth } from '../db/cache.js';
+
+const PROBE_TIMEOUT_MS = 5000;
+
+const VERSION = readVersion();
+
+// Last probe per resolver: { reachable, error, latencyMs, checkedAt } or a pending promise
+const probes = new Map();
+
+/**
+ * Run every readiness check
+ * @returns {Promise<{ status: string, version: string, uptime_seconds: number, timestamp: string, checks: Object }>}
+ */
+export async function checkReadiness() {
+  const [resolvers, ocr, cache] = await Promise.all([
+    checkResolvers(),
+    checkOcr(),
+    checkCache()
+  ]);
+
+  const usable = resolvers.some(r => r.status === 'ok' || r.status === 'degraded');
+  let status = 'ok';
+  if (!usable || cache.status === 'unavailable') {
+    status = 'unavailable';
+  } else if (
+    resolvers.some(r => r.status === 'unavailable' || (r.status === 'disabled' && !r.optional)) ||
+    ocr.status !== 'ok' ||
+    cache.status !== 'ok'
+  ) {
+    status = 'degraded';
+  }
+
+  return {
+    status,
+    version: VERSION,
+    uptime_seconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString(),
+    checks: { resolvers, ocr, cache }
+  };
+}
+
+/**
+ * Resolver status: disabled, unavailable (open circuit or failed probe),
+ * degraded (circuit trying a half-open call) or ok
+ */
+async function checkResolvers() {
+  return Promise.all(listResolvers().map(async (resolver) => {
+    const enabled = isEnabled(resolver);
+    const { state, retry_after_ms } = getCircuitBreaker(resolver.name).snapshot();
+
+    const check = {
+      name: resolver.name,
+      status: 'ok',
+      enabled,
+      optional: !!resolver.optional,
+      circuit: state,
+      circuit_retry_after_ms: retry_after_ms
+    };
+
+    if (!enabled) {
+      return { ...check, status: 'disabled', detail: resolver.setup || 'Not configured' };
+    }
+
+    if (typeof resolver.probe === 'function') {
+      const probe = await getProbe(resolver);
+      check.probe = {
+        reachable: probe.reachable,
+        latency_ms: probe.latencyMs,
+        checked_at: new Date(probe.checkedAt).toISOString(),
+        ...(probe.error && { error: probe.error })
+      };
+      if (!probe.reachable) check.status = 'unavailable';
+    }
+
+    if (state === 'open') check.status = 'unavailable';
+    else if (state === 'half_open' && check.status === 'ok') check.status = 'degraded';
+
+    return check;
+  }));
+}
+
+async function checkOcr() {
+  const provider = getOcrProvider();
+  const choice = (process.env.OCR_PROVIDER || 'auto').toLowerCase();
+
+  if (!provider) {
+    return {
+      status: choice === 'none' ? 'disabled' : 'unavailable',
+      provider: null,
+      detail: choice === 'none' ? 'OCR_PROVIDER=none' : `No configured provider for OCR_PROVIDER=${choice}`
+    };
+  }
+
+  return { status: 'ok', provider: provider.name };
+}
+
+async function checkCache() {
+  const cache = getCacheHealth();
+
+  if (!cache.ok) {
+    return { status: 'unavailable', backend: cache.backend, error: cache.error };
+  }
+
+  return {
+    status: cache.fallback ? 'degraded' : 'ok',
+    backend: cache.backend,
+    persistent: cache.persistent,
+    entries: cache.entries,
+    ...(cache.fallback && { detail: 'SQLite unavailable, using the in-memory cache' })
+  };
+}
+
+/**
+ * Cached probe result, refreshed once it is older than the TTL
+ */
+async function getProbe(resolver) {
+  const cached = probes.get(resolver.name);
+  if (cached instanceof Promise) return cached;
+  if (cached && Date.now() - cached.checkedAt < getProbeTtlMs()) return cached;
+
+  const pending = runProbe(resolver).then(result => {
+    probes.set(resolver.name, result);
+    return result;
+  });
+  probes.set(resolver.name, pending);
+  return pending;
+}
+
+async function runProbe(resolver) {
+  const start = Date.now();
+
+  try {
+    await resolver.probe({ signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+    return { reachable: true, error: null, latencyMs: Date.now() - start, checkedAt: Date.now() };
+  } catch (error) {
+    const message = error?.name === 'TimeoutError' ? `timed out after ${PROBE_TIMEOUT_MS}ms` : error?.message;
+    console.warn(`Readiness probe for ${resolver.name} failed: ${message}`);
+    return { reachable: false, error: message, latencyMs: Date.now() - start, checkedAt: Date.now() };
+  }
+}
+
+function isEnabled(resolver) {
+  try {
+    return !!resolver.isEnabled();
+  } catch {
+    return false;
+  }
+}
+
+function readVersion() {
+  try {
+    return JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8')).version;
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Probe cache lifetime from HEALTH_PROBE_TTL_SECONDS (default 60)
+ */
+function getProbeTtlMs() {
+  const seconds = parseFloat(process.env.HEALTH_PROBE_TTL_SECONDS);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 60) * 1000;
+}
@@ -0,0 +1,354 @@
+/**
+ * Async Jobs
+ * Scans and batches can run in the background: the client gets a job ID
+ * right away, then polls GET /jobs/:id or receives a signed webhook.
+ *
+ * Jobs are stored in the cache database, so queued jobs and undelivered
+ * webhooks survive a restart. A job is retried (with backoff) when it throws
+ * or when sources were unavailable, up to JOB_MAX_ATTEMPTS, waiting
+ * JOB_RETRY_DELAY_SECONDS doubled per attempt (or the sources' retry_after,
+ * if longer); after that the last result is kept. Finished jobs are deleted
+ * JOB_TTL_HOURS after creation.
+ *
+ * Webhooks POST { job_id, type, status, result, error, completed_at } to the
+ * job's callback_url, signed with WEBHOOK_SECRET:
+ *   X-Sole-Timestamp: <unix seconds>
+ *   X-Sole-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ * Non-2xx responses are retried on the WEBHOOK_RETRY_DELAYS_SECONDS schedule.
+ * The callback_url is re-checked on every attempt (see utils/callback-url.js);
+ * a refused URL fails the webhook without retries.
+ */
+
+import crypto from 'node:crypto';
+import { getStore } from '../db/cache.js';
+import { scanImage, scanImages } from './scan.js';
+import { resolveBatch } from './batch.js';
+import { checkCallbackUrl, postToCallback } from '../utils/callback-url.js';
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_TTL_HOURS = 24;
+const DEFAULT_RETRY_DELAY_SECONDS = 30;
+const WEBHOOK_RETRY_DELAYS_SECONDS = [10, 60, 300, 1800];
+const WEBHOOK_TIMEOUT_MS = 10000;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// What each job type runs, and whether its result is worth another attempt
+const JOB_TYPES = {
+  scan: {
+    run: (input, { keyId }) => (input.images
+      ? scanImages(input.images, { explain: input.explain, barcode: input.barcode, keyId })
+      : scanImage(input.image, { explain: input.explain, barcode: input.barcode, keyId })),
+    retryable: (result) => result.error_code === 'upstream_unavailable' && result.retryable !== false,
+    retryAfter: (result) => result.retry_after
+  },
+  batch: {
+    run: (input, { keyId }) => resolveBatch(input.queries, {
+      bypassNegativeCache: input.bypass_negative_cache,
+      keyId
+    }),
+    retryable: (result) => result.results.some(r => r.error_code === 'upstream_unavailable'),
+    retryAfter: (result) => Math.max(0, ...result.results.map(r => r.retry_after || 0))
+  }
+};
+
+export const JOB_TYPE_NAMES = Object.keys(JOB_TYPES);
+
+const queue = [];
+const timers = new Set();
+let running = 0;
+let sweeper = null;
+
+/**
+ * Create a job and queue it
+ * @param {'scan'|'batch'} type
+ * @param {Object} input - The request body the job runs with
+ * @param {Object} [options]
+ * @param {string|null} [options.keyId] - Owner; only this key can read the job
+ * @param {string|null} [options.callbackUrl] - Webhook target
+ * @returns {Object} The stored job
+ */
+export function createJob(type, input, { keyId = null, callbackUrl = null } = {}) {
+  if (!JOB_TYPES[type]) throw new Error(`Unknown job type: ${type}`);
+
+  const now = Date.now();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: 'queued',
+    keyId,
+    input,
+    result: null,
+    error: null,
+    attempts: 0,
+    callbackUrl,
+    webhookStatus: callbackUrl ? 'waiting' : null,
+    webhookAttempts: 0,
+    webhookError: null,
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+    expiresAt: now + getJobTtlMs()
+  };
+
+  getStore().saveJob(job);
+  enqueue(job.id);
+  return job;
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null} null when unknown or expired
+ */
+export function getJob(id) {
+  const job = getStore().getJob(id);
+  return job && job.expiresAt >= Date.now() ? job : null;
+}
+
+/**
+ * Resume work left by a previous process (queued or interrupted jobs,
+ * pending webhooks) and start the expiry sweep
+ */
+export function initJobs() {
+  for (const job of getStore().listUnfinishedJobs()) {
+    if (job.status === 'queued' || job.status === 'running') {
+      enqueue(job.id);
+    } else {
+      deliverWebhook(job.id);
+    }
+  }
+
+  sweeper = setInterval(sweepExpiredJobs, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+}
+
+/**
+ * Stop scheduled retries and the sweep (running jobs are left to finish)
+ */
+export function closeJobs() {
+  clearInterval(sweeper);
+  for (const timer of timers) clearTimeout(timer);
+  timers.clear();
+  queue.length = 0;
+}
+
+/**
+ * Webhook signature for a body, as sent in X-Sole-Signature
+ * Receivers recompute it with the shared secret and compare.
+ *
+ * @param {string} body - Raw JSON body
+ * @param {number|string} timestamp - X-Sole-Timestamp value
+ * @param {string} [secret] - Defaults to WEBHOOK_SECRET
+ * @returns {string} "sha256=<hex>"
+ */
+export function signWebhook(body, timestamp, secret = process.env.WEBHOOK_SECRET) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Whether webhooks can be signed (WEBHOOK_SECRET is set)
+ * @returns {boolean}
+ */
+export function isWebhookConfigured() {
+  return !!process.env.WEBHOOK_SECRET;
+}
+
+/**
+ * Public job shape (input omitted)
+ * @param {Object} job
+ * @returns {Object}
+ */
+export function formatJob(job) {
+  const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+  return {
+    job_id: job.id,
+    type: job.type,
+    status: job.status,
+    status_url: `/jobs/${job.id}`,
+    attempts: job.attempts,
+    created_at: toIso(job.createdAt),
+    updated_at: toIso(job.updatedAt),
+    completed_at: toIso(job.completedAt),
+    expires_at: toIso(job.expiresAt),
+    result: job.result,
+    error: job.error,
+    webhook: job.callbackUrl ? {
+      url: job.callbackUrl,
+      status: job.webhookStatus,
+      attempts: job.webhookAttempts,
+      error: job.webhookError
+    } : null
+  };
+}
+
+function enqueue(id) {
+  queue.push(id);
+  pump();
+}
+
+function pump() {
+  while (running < getJobConcurrency() && queue.length) {
+    const id = queue.shift();
+    running++;
+    runJob(id)
+      .catch(error => console.error(`Job ${id} could not be processed:`, error.message))
+      .finally(() => {
+        running--;
+        pump();
+      });
+  }
+}
+
+async function runJob(id) {
+  const job = getStore().getJob(id);
+  if (!job || (job.status !== 'queued' && job.status !== 'running')) return;
+
+  const type = JOB_TYPES[job.type];
+  const attempt = job.attempts + 1;
+  const lastAttempt = attempt >= getMaxAttempts();
+  update(job, { status: 'running', attempts: attempt });
+
+  let result;
+  try {
+    result = await type.run(job.input, { keyId: job.keyId });
+  } catch (error) {
+    console.error(`Job ${id} attempt ${attempt} failed:`, error.message);
+    if (!lastAttempt) return retryLater(job, retryDelayMs(attempt));
+    return finish(job, { status: 'failed', error: error.message });
+  }
+
+  if (!lastAttempt && type.retryable(result)) {
+    const retryAfterMs = (type.retryAfter(result) || 0) * 1000;
+    return retryLater(job, Math.max(retryAfterMs, retryDelayMs(attempt)));
+  }
+
+  finish(job, { status: 'completed', result });
+}
+
+function retryLater(job, delayMs) {
+  update(job, { status: 'queued' });
+  schedule(() => enqueue(job.id), delayMs);
+}
+
+function finish(job, { status, result = null, error = null }) {
+  // The input (an image, for scans) is no longer needed
+  update(job, {
+    status,
+    result,
+    error,
+    input: null,
+    completedAt: Date.now(),
+    ...(job.callbackUrl && { webhookStatus: 'pending' })
+  });
+  if (job.callbackUrl) deliverWebhook(job.id);
+}
+
+/**
+ * POST the finished job to its callback_url, retrying on failure
+ */
+async function deliverWebhook(id) {
+  const job = getStore().getJob(id);
+  if (!job || job.webhookStatus !== 'pending') return;
+
+  const body = JSON.stringify({
+    job_id: job.id,
+    type: job.type,
+    status: job.status,
+    result: job.result,
+    error: job.error,
+    completed_at: job.completedAt ? new Date(job.completedAt).toISOString() : null
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = job.webhookAttempts + 1;
+
+  const refused = await checkCallbackUrl(job.callbackUrl);
+  if (refused) {
+    console.warn(`Webhook for job ${id} not sent: ${refused}`);
+    update(job, { webhookStatus: 'failed', webhookAttempts: attempt, webhookError: refused });
+    return;
+  }
+
+  let error = null;
+  try {
+    const status = await postToCallback(job.callbackUrl, body, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'sole-resolver-webhook',
+      'X-Sole-Job-Id': job.id,
+      'X-Sole-Timestamp': String(timestamp),
+      'X-Sole-Signature': signWebhook(body, timestamp)
+    }, WEBHOOK_TIMEOUT_MS);
+    if (status < 200 || status >= 300) error = `Callback responded ${status}`;
+  } catch (postError) {
+    error = postError.message;
+  }
+
+  if (!error) {
+    update(job, { webhookStatus: 'delivered', webhookAttempts: attempt, webhookError: null });
+    return;
+  }
+
+  const delaySeconds = WEBHOOK_RETRY_DELAYS_SECONDS[attempt - 1];
+  console.warn(`Webhook for job ${id} failed (attempt ${attempt}): ${error}`);
+  update(job, {
+    webhookStatus: delaySeconds == null ? 'failed' : 'pending',
+    webhookAttempts: attempt,
+    webhookError: error
+  });
+  if (delaySeconds != null) schedule(() => deliverWebhook(id), delaySeconds * 1000);
+}
+
+function update(job, changes) {
+  Object.assign(job, changes, { updatedAt: Date.now() });
+  getStore().saveJob(job);
+}
+
+function schedule(fn, delayMs) {
+  const timer = setTimeout(() => {
+    timers.delete(timer);
+    fn();
+  }, delayMs);
+  timer.unref();
+  timers.add(timer);
+}
+
+function sweepExpiredJobs() {
+  try {
+    const deleted = getStore().deleteExpiredJobs();
+    if (deleted) console.log(`Deleted ${deleted} expired jobs`);
+  } catch (error) {
+    console.warn('Expired jobs could not be deleted:', error.message);
+  }
+}
+
+/**
+ * Wait before retry `attempt` + 1: JOB_RETRY_DELAY_SECONDS (default 30), doubled per attempt
+ */
+function retryDelayMs(attempt) {
+  const seconds = parseFloat(process.env.JOB_RETRY_DELAY_SECONDS);
+  const base = Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_RETRY_DELAY_SECONDS;
+  return base * 1000 * 2 ** (attempt - 1);
+}
+
+/**
+ * Jobs run at the same time (JOB_CONCURRENCY, default 2)
+ */
+function getJobConcurrency() {
+  return parseInt(process.env.JOB_CONCURRENCY, 10) || DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Attempts per job, first run included (JOB_MAX_ATTEMPTS, default 3)
+ */
+function getMaxAttempts() {
+  return parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+}
+
+/**
+ * How long a job can be fetched (JOB_TTL_HOURS, default 24)
+ */
+function getJobTtlMs() {
+  const hours = parseFloat(process.env.JOB_TTL_HOURS);
+  return (Number.isFinite(hours) && hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
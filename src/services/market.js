@@ -0,0 +1,65 @@
+/**
+ * Market Service
+ * Shapes cached market data for responses and picks size-specific prices
+ *
+ * The estimated resale value prefers, in order: the requested size's last
+ * sale, that size's lowest ask, the product's last sale, the product's lowest ask.
+ */
+
+import { sizeKey } from './normalizer.js';
+
+/**
+ * Build the public market block
+ * @param {Object} market - From normalizeMarket()
+ * @param {Object} [options]
+ * @param {number} [options.updatedAt] - When the prices were fetched (ms)
+ * @param {boolean} [options.stale] - Prices are past MARKET_TTL_HOURS and could not be refreshed
+ * @returns {Object|null}
+ */
+export function formatMarket(market, { updatedAt = Date.now(), stale = false } = {}) {
+  if (!market) return null;
+
+  return {
+    currency: market.currency,
+    // Prices cached before retail_price became { amount, currency } are bare numbers
+    retail_price: typeof market.retail_price === 'number'
+      ? { amount: market.retail_price, currency: market.currency }
+      : market.retail_price ?? null,
+    release_date: market.release_date,
+    lowest_ask: market.lowest_ask,
+    last_sale: market.last_sale,
+    estimated_resale: market.last_sale ?? market.lowest_ask ?? null,
+    size: null,
+    sizes: market.sizes || {},
+    source: market.source,
+    updated_at: new Date(updatedAt).toISOString(),
+    stale
+  };
+}
+
+/**
+ * Attach the prices for one size to a market block
+ * Tries the men's key first, then the women's key.
+ *
+ * @param {Object} market - From formatMarket()
+ * @param {{ us_men?: number, us_women?: number }} sizes - Converted sizes
+ * @returns {Object}
+ */
+export function withMarketSize(market, sizes) {
+  if (!market || !sizes) return market;
+
+  const keys = [
+    sizes.us_men != null ? sizeKey(sizes.us_men) : null,
+    sizes.us_women != null ? `W ${sizeKey(sizes.us_women)}` : null
+  ].filter(Boolean);
+
+  const key = keys.find(k => market.sizes?.[k]);
+  if (!key) return market;
+
+  const prices = market.sizes[key];
+  return {
+    ...market,
+    size: { key, ...prices },
+    estimated_resale: prices.last_sale ?? prices.lowest_ask ?? market.estimated_resale
+  };
+}
@@ -5,6 +5,19 @@
 
 /**
  * Normalize a resolver result into standard format
+ *
+ * Fields:
+ * - brand, name, model, colorway, category
+ * - images: [{ main, thumbnail }], primary image first
+ * - release_date: YYYY-MM-DD
+ * - retail_price: { amount, currency }
+ * - gender: men, women, unisex, youth or child
+ * - silhouette: model family, e.g. "Dunk" for "Dunk Low"
+ * - colors: primary colors, e.g. ["White", "Black"]
+ * - sku_variants: other style codes the source lists for the same product
+ *
+ * Fields set on the result win over what is read from its `raw` payload.
+ *
  * @param {Object} result - Raw result from a resolver
  * @returns {Object}
  */
@@ -15,19 +28,263 @@ export function normalizeResult(result) {
       name: null,
       model: null,
       colorway: null,
-      category: 'sneakers'
+      category: 'sneakers',
+      images: [],
+      release_date: null,
+      retail_price: null,
+      gender: null,
+      silhouette: null,
+      colors: [],
+      sku_variants: []
     };
   }
 
   const name = result.name || '';
+  const raw = result.raw && typeof result.raw === 'object' ? result.raw : {};
+  const traits = indexTraits(raw.traits);
+
+  const model = result.model || extractModel(name);
+  const colorway = result.colorway || extractColorway(name);
+  const retailPrice = toPrice(result.retail_price ?? retailPriceOf(raw, traits));
   
   return {
     brand: result.brand || extractBrand(name),
     name: name,
-    model: result.model || extractModel(name),
-    colorway: result.colorway || extractColorway(name),
-    category: result.category || 'sneakers'
+    model,
+    colorway,
+    category: result.category || 'sneakers',
+    images: extractImages(result, raw),
+    release_date: toDate(result.release_date ?? releaseDateOf(raw, traits)),
+    retail_price: retailPrice != null ? { amount: retailPrice, currency: raw.currency || 'USD' } : null,
+    gender: normalizeGender(result.gender ?? raw.gender ?? traits.GENDER),
+    silhouette: result.silhouette || raw.silhouette || extractSilhouette(model || name),
+    colors: extractColors(raw.colorway ?? traits.COLORWAY ?? colorway, name),
+    sku_variants: extractSkuVariants(result.sku, raw)
+  };
+}
+
+/**
+ * Pull pricing and release data out of a resolver result's raw payload
+ * Prices are per pair in the source's currency (USD for KicksDB/StockX).
+ * `sizes` maps a size key ("10", "W 8.5", "7Y") to that size's prices when
+ * the source lists variants.
+ *
+ * @param {Object} result - Resolver result with a `raw` item
+ * @returns {Object|null} Market block, or null when the source has no market data
+ */
+export function normalizeMarket(result) {
+  const raw = result?.raw;
+  if (!raw || typeof raw !== 'object') return null;
+
+  const traits = indexTraits(raw.traits);
+  const currency = raw.currency || 'USD';
+  const retailPrice = toPrice(retailPriceOf(raw, traits));
+
+  const market = {
+    currency,
+    retail_price: retailPrice != null ? { amount: retailPrice, currency } : null,
+    release_date: toDate(releaseDateOf(raw, traits)),
+    lowest_ask: toPrice(raw.lowest_ask ?? raw.market?.lowest_ask ?? raw.min_price),
+    last_sale: toPrice(raw.last_sale ?? raw.market?.last_sale),
+    sizes: {},
+    source: result.source || null
+  };
+
+  for (const variant of Array.isArray(raw.variants) ? raw.variants : []) {
+    const key = sizeKey(variant.size ?? variant.size_us ?? variant.title);
+    if (!key) continue;
+
+    const prices = {
+      lowest_ask: toPrice(variant.lowest_ask ?? variant.price ?? variant.market?.lowest_ask),
+      last_sale: toPrice(variant.last_sale ?? variant.market?.last_sale)
+    };
+    if (prices.lowest_ask != null || prices.last_sale != null) {
+      market.sizes[key] = prices;
+    }
+  }
+
+  const hasData = ['retail_price', 'release_date', 'lowest_ask', 'last_sale']
+    .some(field => market[field] != null) || Object.keys(market.sizes).length > 0;
+
+  return hasData ? market : null;
+}
+
+/**
+ * Size key used in market.sizes: "10" (men's), "W 8.5" (women's), "7Y" (youth)
+ * @param {string|number} label - Variant size label such as "10", "US M 10", "8.5W", "7Y"
+ * @returns {string|null}
+ */
+export function sizeKey(label) {
+  if (label == null) return null;
+
+  const text = String(label).toUpperCase();
+  const match = text.match(/\d{1,2}(?:\.5)?/);
+  if (!match) return null;
+
+  const value = String(parseFloat(match[0]));
+  if (/\d\s*Y\b|YOUTH|\bGS\b/.test(text)) return `${value}Y`;
+  if (/\bW\b|\dW\b|WOMEN|WMNS/.test(text)) return `W ${value}`;
+  return value;
+}
+
+/**
+ * Retail price and release date as the source spells them
+ */
+function retailPriceOf(raw, traits) {
+  return raw.retail_price ?? raw.retailPrice ?? traits['RETAIL PRICE'];
+}
+
+function releaseDateOf(raw, traits) {
+  return raw.release_date ?? raw.releaseDate ?? traits['RELEASE DATE'];
+}
+
+/**
+ * Map a KicksDB-style traits array ([{ trait, value }]) by upper-cased name
+ */
+function indexTraits(traits) {
+  const index = {};
+  for (const entry of Array.isArray(traits) ? traits : []) {
+    const name = entry?.trait || entry?.name;
+    if (name) index[name.toUpperCase()] = entry.value;
+  }
+  return index;
+}
+
+/**
+ * Parse a price ("$110", "110.00", 110) into a number, or null
+ */
+function toPrice(value) {
+  if (value == null || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^\d.]/g, ''));
+  return Number.isFinite(number) && number > 0 ? Math.round(number * 100) / 100 : null;
+}
+
+/**
+ * Parse a release date into YYYY-MM-DD, or null
+ */
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Collect image URLs from a result and its raw payload
+ * Sources without a separate thumbnail get the main image as thumbnail.
+ */
+function extractImages(result, raw) {
+  const images = [];
+
+  const add = (main, thumbnail) => {
+    if (!isUrl(main) || images.some(image => image.main === main)) return;
+    images.push({ main, thumbnail: isUrl(thumbnail) ? thumbnail : main });
+  };
+
+  for (const source of [result, raw]) {
+    add(
+      source.image ?? source.image_url ?? source.media?.imageUrl,
+      source.thumbnail ?? source.thumbnail_url ?? source.media?.thumbUrl ?? source.media?.smallImageUrl
+    );
+
+    const gallery = source.images ?? source.gallery ?? source.media?.gallery;
+    for (const entry of Array.isArray(gallery) ? gallery : []) {
+      if (typeof entry === 'string') add(entry);
+      else add(entry?.main ?? entry?.url ?? entry?.original, entry?.thumbnail ?? entry?.small);
+    }
+  }
+
+  return images;
+}
+
+function isUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//i.test(value);
+}
+
+/**
+ * Map source gender labels onto men, women, unisex, youth or child
+ */
+function normalizeGender(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const upper = value.toUpperCase();
+  if (/UNISEX/.test(upper)) return 'unisex';
+  if (/WOMEN|WMNS|FEMALE/.test(upper)) return 'women';
+  if (/\bMEN|\bMAN\b|\bMALE/.test(upper)) return 'men';
+  if (/YOUTH|GRADE SCHOOL|\bGS\b|BIG KID|\bKIDS?\b/.test(upper)) return 'youth';
+  if (/CHILD|PRESCHOOL|\bPS\b|TODDLER|\bTD\b|INFANT|BABY|LITTLE KID/.test(upper)) return 'child';
+  return null;
+}
+
+/**
+ * Extract the model family from a model or name
+ * "Air Jordan 1 Retro High OG" → "Air Jordan 1", "Dunk Low" → "Dunk"
+ */
+function extractSilhouette(text) {
+  if (!text) return null;
+
+  const silhouettePatterns = [
+    { pattern: /\b(?:Air )?Jordan (\d+)\b/i, format: m => `Air Jordan ${m[1]}` },
+    { pattern: /\bAir Force 1\b/i, format: () => 'Air Force 1' },
+    { pattern: /\bAir Max (\d+|Plus|Pulse)\b/i, format: m => `Air Max ${m[1]}` },
+    { pattern: /\bYeezy (?:Boost )?(\d+)\b/i, format: m => `Yeezy ${m[1]}` },
+    { pattern: /\bYeezy (Slide|Foam Runner)\b/i, format: m => `Yeezy ${m[1]}` },
+    { pattern: /\b(Dunk|Blazer|Cortez|Vomero|Pegasus|Ultra ?Boost|NMD|Superstar|Stan Smith|Forum|Samba|Gazelle|Campus|Chuck 70|Chuck Taylor|Old Skool|Sk8-Hi|Slip-On|Club C|Gel-Lyte|Gel-Kayano|Gel-1130|Suede|Speedcat)\b/i, format: m => m[1] },
+    { pattern: /\bNew Balance (\d{3,4}R?)\b/i, format: m => `New Balance ${m[1]}` }
+  ];
+
+  for (const { pattern, format } of silhouettePatterns) {
+    const match = text.match(pattern);
+    if (match) return format(match);
+  }
+
+  return null;
+}
+
+// Base colors recognised in colorway strings, mapped to the name we return
+const COLOR_WORDS = {
+  WHITE: 'White', BLACK: 'Black', GREY: 'Grey', GRAY: 'Grey', RED: 'Red', BLUE: 'Blue',
+  NAVY: 'Navy', GREEN: 'Green', YELLOW: 'Yellow', ORANGE: 'Orange', PURPLE: 'Purple',
+  PINK: 'Pink', BROWN: 'Brown', TAN: 'Tan', BEIGE: 'Beige', CREAM: 'Cream', SAIL: 'Sail',
+  SILVER: 'Silver', GOLD: 'Gold', OLIVE: 'Olive', TEAL: 'Teal', BONE: 'Bone'
+};
+
+/**
+ * Primary colors from a colorway ("White/Black-White" → White, Black),
+ * falling back to color words in the product name
+ */
+function extractColors(colorway, name) {
+  const find = (text) => {
+    if (!text || typeof text !== 'string') return [];
+    const colors = [];
+    for (const word of text.toUpperCase().split(/[^A-Z]+/)) {
+      const color = COLOR_WORDS[word];
+      if (color && !colors.includes(color)) colors.push(color);
+    }
+    return colors;
   };
+
+  const colors = find(colorway);
+  return (colors.length ? colors : find(name)).slice(0, 4);
+}
+
+/**
+ * Other style codes for the same product
+ * Sources list them as "CW2288-111/CW2288-111-GS" or in an array.
+ */
+function extractSkuVariants(sku, raw) {
+  const primary = String(sku || raw.sku || '').split(/[\/,]/)[0].toUpperCase().trim();
+  const listed = [
+    ...String(raw.sku || raw.style_id || '').split(/[\/,]/),
+    ...(Array.isArray(raw.sku_variants) ? raw.sku_variants : []),
+    ...(Array.isArray(raw.skus) ? raw.skus : [])
+  ];
+
+  const variants = [];
+  for (const value of listed) {
+    const code = String(value).toUpperCase().trim();
+    if (code && code !== primary && !variants.includes(code)) variants.push(code);
+  }
+  return variants;
 }
 
 /**
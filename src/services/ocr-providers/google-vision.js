@@ -0,0 +1,67 @@
+/**
+ * Google Cloud Vision OCR provider
+ * Credentials come from either:
+ * - GOOGLE_APPLICATION_CREDENTIALS: path to a service account JSON file
+ * - GOOGLE_CREDENTIALS_BASE64: base64 encoded service account JSON (cloud deployments)
+ */
+
+import fs from 'node:fs';
+
+let client = null;
+
+export const googleVisionProvider = {
+  name: 'google-vision',
+
+  isConfigured() {
+    if (process.env.GOOGLE_CREDENTIALS_BASE64) return true;
+
+    const credentialsPath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+    return !!credentialsPath && fs.existsSync(credentialsPath);
+  },
+
+  /**
+   * @param {Buffer} image
+   * @returns {Promise<{ text: string, confidence: number|null }>}
+   */
+  async recognize(image) {
+    const visionClient = await getClient();
+    const [result] = await visionClient.textDetection({ image: { content: image } });
+
+    if (result.error?.message) {
+      throw new Error(`Vision API error: ${result.error.message}`);
+    }
+
+    const text = result.fullTextAnnotation?.text ||
+      result.textAnnotations?.[0]?.description ||
+      '';
+
+    const pages = result.fullTextAnnotation?.pages || [];
+    const confidences = pages.map(p => p.confidence).filter(c => typeof c === 'number');
+    const confidence = confidences.length
+      ? confidences.reduce((sum, c) => sum + c, 0) / confidences.length
+      : null;
+
+    return { text, confidence };
+  }
+};
+
+/**
+ * Create the Vision client once, on first use
+ */
+async function getClient() {
+  if (client) return client;
+
+  const { default: vision } = await import('@google-cloud/vision');
+  const options = {};
+
+  if (process.env.GOOGLE_CREDENTIALS_BASE64) {
+    const credentials = JSON.parse(
+      Buffer.from(process.env.GOOGLE_CREDENTIALS_BASE64, 'base64').toString('utf8')
+    );
+    options.credentials = credentials;
+    options.projectId = credentials.project_id;
+  }
+
+  client = new vision.ImageAnnotatorClient(options);
+  return client;
+}
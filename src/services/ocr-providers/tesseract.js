@@ -0,0 +1,132 @@
+/**
+ * Local Tesseract OCR provider (tesseract.js, no cloud account)
+ * Language data is read from TESSERACT_LANG_PATH when set, so the
+ * provider can run fully offline with a bundled eng.traineddata.
+ *
+ * The provider only counts as configured when its language data can be
+ * loaded: found on disk (TESSERACT_LANG_PATH, or a copy cached by an earlier
+ * download in TESSERACT_CACHE_PATH), or downloadable. Downloads are checked
+ * once at startup with probe(); until then they are assumed to work.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Where tesseract.js downloads LSTM language data when no TESSERACT_LANG_PATH is set
+const DEFAULT_LANG_URL = 'https://cdn.jsdelivr.net/npm/@tesseract.js-data/{lang}/4.0.0_best_int';
+const PROBE_TIMEOUT_MS = 5000;
+
+let workerPromise = null;
+
+// Startup download check: { ok, error } once probe() has run
+let download = null;
+
+export const tesseractProvider = {
+  name: 'tesseract',
+
+  isConfigured() {
+    const missing = getLanguages().filter(lang => !hasLocalData(lang));
+    if (!missing.length) return true;
+
+    return isRemote(getLangPath()) && download?.ok !== false;
+  },
+
+  /**
+   * Check once that language data missing from disk can be downloaded
+   * Never throws; a failure makes isConfigured() false.
+   */
+  async probe() {
+    const missing = getLanguages().filter(lang => !hasLocalData(lang));
+    if (!missing.length || !isRemote(getLangPath())) return;
+
+    for (const lang of missing) {
+      const url = languageUrl(lang);
+      try {
+        const response = await fetch(url, { method: 'HEAD', signal: AbortSignal.timeout(PROBE_TIMEOUT_MS) });
+        if (!response.ok) throw new Error(`${url} responded ${response.status}`);
+      } catch (error) {
+        const message = error.name === 'TimeoutError' ? `${url} timed out after ${PROBE_TIMEOUT_MS}ms` : error.message;
+        console.warn(`Tesseract language data cannot be downloaded, local OCR disabled: ${message}`);
+        download = { ok: false, error: message };
+        return;
+      }
+    }
+
+    download = { ok: true, error: null };
+  },
+
+  /**
+   * @param {Buffer} image
+   * @returns {Promise<{ text: string, confidence: number|null }>}
+   */
+  async recognize(image) {
+    const worker = await getWorker();
+    const { data } = await worker.recognize(image);
+
+    return {
+      text: data.text || '',
+      confidence: typeof data.confidence === 'number' ? data.confidence / 100 : null
+    };
+  },
+
+  async close() {
+    if (!workerPromise) return;
+    const worker = await workerPromise;
+    workerPromise = null;
+    await worker.terminate();
+  }
+};
+
+/**
+ * Start one shared worker on first use
+ */
+function getWorker() {
+  if (!workerPromise) {
+    workerPromise = (async () => {
+      const { createWorker } = await import('tesseract.js');
+      const options = {};
+      const langPath = getLangPath();
+      if (langPath) options.langPath = langPath;
+      if (process.env.TESSERACT_CACHE_PATH) options.cachePath = process.env.TESSERACT_CACHE_PATH;
+      // A local directory may hold plain eng.traineddata rather than eng.traineddata.gz
+      if (langPath && !isRemote(langPath)) {
+        options.gzip = getLanguages().some(lang => fs.existsSync(path.join(langPath, `${lang}.traineddata.gz`)));
+      }
+
+      return createWorker(getLanguages().join('+'), 1, options);
+    })().catch(error => {
+      workerPromise = null;
+      throw error;
+    });
+  }
+  return workerPromise;
+}
+
+function getLanguages() {
+  return (process.env.TESSERACT_LANG || 'eng').split('+').filter(Boolean);
+}
+
+function getLangPath() {
+  return process.env.TESSERACT_LANG_PATH || null;
+}
+
+function isRemote(langPath) {
+  return !langPath || /^https?:\/\//i.test(langPath);
+}
+
+/**
+ * Language data already on disk: in a local TESSERACT_LANG_PATH, or cached by an earlier download
+ */
+function hasLocalData(lang) {
+  const langPath = getLangPath();
+  const files = [path.join(process.env.TESSERACT_CACHE_PATH || '.', `${lang}.traineddata`)];
+  if (langPath && !isRemote(langPath)) {
+    files.push(path.join(langPath, `${lang}.traineddata`), path.join(langPath, `${lang}.traineddata.gz`));
+  }
+  return files.some(file => fs.existsSync(file));
+}
+
+function languageUrl(lang) {
+  const base = getLangPath() || DEFAULT_LANG_URL.replace('{lang}', lang);
+  return `${base.replace(/\/$/, '')}/${lang}.traineddata.gz`;
+}
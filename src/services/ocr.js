@@ -1,17 +1,145 @@
 /**
- * OCR Service - Placeholder
- * Add @google-cloud/vision to package.json to enable
+ * OCR Service
+ * Reads text from shoe tag images through a pluggable provider, then
+ * runs the SKU classifier over the text.
+ *
+ * Provider is chosen with OCR_PROVIDER:
+ * - auto (default): Google Cloud Vision when credentials are set, else local Tesseract
+ * - google: Google Cloud Vision only
+ * - tesseract: local Tesseract only
+ * - none: OCR disabled
+ *
+ * A provider is { name, isConfigured(), recognize(buffer) → { text, confidence } }.
  */
 
 import { extractSkusFromText, extractUsSize, detectBrandFromText } from '../classifiers/sku-classifier.js';
+import { parseSizeTag } from '../classifiers/size-parser.js';
+import { extractBarcodesFromText } from '../classifiers/barcode.js';
+import { googleVisionProvider } from './ocr-providers/google-vision.js';
+import { tesseractProvider } from './ocr-providers/tesseract.js';
+import { recordUsage } from './usage.js';
+
+const PROVIDERS = {
+  google: googleVisionProvider,
+  tesseract: tesseractProvider
+};
+
+/**
+ * Pick the provider for the current configuration
+ * @returns {Object|null}
+ */
+export function getOcrProvider() {
+  const choice = (process.env.OCR_PROVIDER || 'auto').toLowerCase();
+
+  if (choice === 'none') return null;
+
+  if (choice === 'auto') {
+    if (googleVisionProvider.isConfigured()) return googleVisionProvider;
+    return tesseractProvider.isConfigured() ? tesseractProvider : null;
+  }
+
+  const provider = PROVIDERS[choice];
+  if (!provider) {
+    console.warn(`Unknown OCR_PROVIDER "${choice}"`);
+    return null;
+  }
+
+  return provider.isConfigured() ? provider : null;
+}
+
+export function isOcrConfigured() {
+  return !!getOcrProvider();
+}
+
+/**
+ * Run OCR on an image and extract SKU, size and brand hints
+ * @param {string} imageBase64 - Base64 image, with or without a data URL prefix
+ * @param {Object} [options]
+ * @param {string|null} [options.keyId=null] - API key the provider call is accounted to
+ * @returns {Promise<Object>}
+ */
+export async function extractTextFromImage(imageBase64, { keyId = null } = {}) {
+  const provider = getOcrProvider();
+  if (!provider) {
+    return {
+      success: false,
+      error: 'OCR not configured. Set OCR_PROVIDER or Google Cloud Vision credentials.'
+    };
+  }
+
+  const image = Buffer.from(imageBase64.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+
+  // Counted whether or not it succeeds: failed calls may still be billed
+  recordUsage(keyId, { [`ocr:${provider.name}`]: 1 });
+
+  let recognized;
+  try {
+    recognized = await provider.recognize(image);
+  } catch (error) {
+    console.error(`OCR provider ${provider.name} failed:`, error.message);
+    return {
+      success: false,
+      provider: provider.name,
+      error: `OCR failed: ${error.message}`
+    };
+  }
+
+  const rawText = (recognized.text || '').trim();
+  if (!rawText) {
+    return {
+      success: false,
+      provider: provider.name,
+      error: 'No text detected in image'
+    };
+  }
 
-export async function extractTextFromImage(imageBase64) {
   return {
-    success: false,
-    error: 'OCR not configured. Add Google Cloud Vision to enable.'
+    success: true,
+    provider: provider.name,
+    ocr_confidence: recognized.confidence,
+    raw_text: rawText,
+    extracted: extractFromText(rawText)
   };
 }
 
-export function isOcrConfigured() {
-  return false;
+/**
+ * Pull SKU, sizes, brand hint and any printed UPC/EAN out of OCR text
+ * @param {string} text
+ * @returns {{ sku: string|null, sku_candidates: Array<Object>, us_size: string|null, size: Object|null, brand_hint: string|null, barcode: string|null }}
+ */
+export function extractFromText(text) {
+  const candidates = extractSkusFromText(text);
+  const top = candidates[0] || null;
+
+  const textBrand = detectBrandFromText(text);
+  const skuBrand = top && top.brand !== 'Unknown' ? top.brand : null;
+
+  const size = parseSizeTag(text);
+
+  return {
+    sku: top ? top.sku : null,
+    sku_candidates: candidates,
+    us_size: size?.us != null ? String(size.us) : extractUsSize(text),
+    size,
+    brand_hint: textBrand || skuBrand,
+    barcode: extractBarcodesFromText(text)[0]?.code ?? null
+  };
+}
+
+/**
+ * Check at startup that the Tesseract language data can be loaded, when
+ * Tesseract is the provider in use (resolves once the check is done)
+ */
+export async function initOcr() {
+  const choice = (process.env.OCR_PROVIDER || 'auto').toLowerCase();
+  if (choice === 'tesseract' || (choice === 'auto' && !googleVisionProvider.isConfigured())) {
+    await tesseractProvider.probe();
+  }
+}
+
+/**
+ * Release provider resources (e.g. the Tesseract worker)
+ */
+export async function closeOcr() {
+  await tesseractProvider.close();
 }
@@ -0,0 +1,338 @@
+/**
+ * Scan Service
+ * OCR + SKU extraction + resolution for shoe tag photos (one image, or
+ * several voted together). The payload is the same whether it is returned
+ * by POST /scan or stored as a job result.
+ *
+ * With `barcode`, the box label's UPC/EAN barcode is read first (locally, no
+ * OCR call): it names the exact product and size. OCR only runs when there is
+ * no barcode or it does not resolve. Digits printed under the bars that OCR
+ * reads are tried before the style code either way.
+ */
+
+import { extractTextFromImage } from './ocr.js';
+import { decodeBarcode } from './barcode.js';
+import { withMarketSize } from './market.js';
+import { convertSize, parseSizeInput } from './size-converter.js';
+import { resolve } from '../resolvers/index.js';
+import { counter } from '../utils/metrics.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+
+const DEFAULT_MAX_IMAGES = 5;
+
+// result is "success" or the step that failed (ocr, sku_extraction, resolve, ...)
+const ocrResults = counter('sole_ocr_results_total', 'OCR requests by endpoint and result', ['endpoint', 'result']);
+
+/**
+ * Scan a validated image
+ * A failed step is reported in the payload (`step_failed`), not thrown.
+ *
+ * @param {string} image - Base64 image (already checked with validateImageData)
+ * @param {Object} [options]
+ * @param {boolean} [options.explain=false] - Include `confidence_detail`
+ * @param {boolean} [options.barcode=false] - Decode the image's barcode before OCR
+ * @param {string|null} [options.keyId=null] - API key the work is accounted to
+ * @returns {Promise<Object>}
+ * @throws When OCR or resolution fails unexpectedly
+ */
+export async function scanImage(image, { explain = false, barcode = false, keyId = null } = {}) {
+  return counted(() => runScan(image, { explain, barcode, keyId }));
+}
+
+/**
+ * Scan several photos of the same shoe (tag, box label, insole)
+ * Each image is read on its own; the barcode, SKU, size and brand hint most
+ * images agree on are resolved. The payload adds `images` (what each one
+ * read), `votes` and `field_sources` (which images each field came from).
+ *
+ * @param {Array<string>} images - Base64 images (already validated)
+ * @param {Object} [options] - As for scanImage()
+ * @returns {Promise<Object>}
+ * @throws When OCR or resolution fails unexpectedly
+ */
+export async function scanImages(images, { explain = false, barcode = false, keyId = null } = {}) {
+  return counted(() => runMultiScan(images, { explain, barcode, keyId }));
+}
+
+/**
+ * Maximum images per multi-image scan (SCAN_MAX_IMAGES, default 5)
+ */
+export function getScanMaxImages() {
+  return parseInt(process.env.SCAN_MAX_IMAGES, 10) || DEFAULT_MAX_IMAGES;
+}
+
+/**
+ * Count an OCR request in sole_ocr_results_total
+ * @param {'ocr'|'scan'} endpoint
+ * @param {string} result - "success" or the step that failed
+ */
+export function recordOcrResult(endpoint, result) {
+  ocrResults.inc({ endpoint, result });
+}
+
+/**
+ * Pick the SKU, US size, brand hint and printed barcode most images agree on
+ * SKUs get one vote per image that has them among its candidates (ties go
+ * to the higher classifier confidence); sizes, brand hints and barcodes one
+ * vote per image that read them (size ties go to the fuller, consistent tag).
+ *
+ * @param {Array<{ index: number, extracted: Object }>} reads - extractFromText() output per image
+ * @returns {{ extracted: Object, votes: Object, field_sources: Object }}
+ */
+export function voteExtractions(reads) {
+  const votes = {
+    sku: tally(reads, ({ extracted }) => extracted.sku_candidates.map(c => ({ value: c.sku, weight: c.confidence }))),
+    us_size: tally(reads, ({ extracted }) => (extracted.us_size ? [{
+      value: extracted.us_size,
+      weight: extracted.size ? sizeQuality(extracted.size) : 1
+    }] : [])),
+    brand_hint: tally(reads, ({ extracted }) => (extracted.brand_hint ? [{ value: extracted.brand_hint, weight: 1 }] : [])),
+    barcode: tally(reads, ({ extracted }) => (extracted.barcode ? [{ value: extracted.barcode, weight: 1 }] : []))
+  };
+
+  const sku = votes.sku[0] || null;
+  const usSize = votes.us_size[0] || null;
+  const brandHint = votes.brand_hint[0] || null;
+  const barcode = votes.barcode[0] || null;
+
+  // Full size table from the best tag that read the winning size (or any size at all)
+  const sizeReads = reads.filter(read => read.extracted.size && (!usSize || usSize.images.includes(read.index)));
+  const sizeRead = sizeReads.sort((a, b) => sizeQuality(b.extracted.size) - sizeQuality(a.extracted.size))[0] || null;
+
+  return {
+    extracted: {
+      sku: sku?.value ?? null,
+      us_size: usSize?.value ?? (sizeRead?.extracted.size.us != null ? String(sizeRead.extracted.size.us) : null),
+      size: sizeRead?.extracted.size ?? null,
+      brand_hint: brandHint?.value ?? null,
+      barcode: barcode?.value ?? null
+    },
+    votes,
+    field_sources: {
+      sku: sku?.images ?? [],
+      us_size: usSize?.images ?? (sizeRead ? [sizeRead.index] : []),
+      size: sizeRead ? [sizeRead.index] : [],
+      brand_hint: brandHint?.images ?? [],
+      barcode: barcode?.images ?? []
+    }
+  };
+}
+
+async function counted(run) {
+  try {
+    const payload = await run();
+    recordOcrResult('scan', payload.success ? 'success' : payload.step_failed);
+    return payload;
+  } catch (error) {
+    recordOcrResult('scan', 'error');
+    throw error;
+  }
+}
+
+async function runScan(image, { explain, barcode, keyId }) {
+  // Step 1: the barcode, when asked for; a label that resolves needs no OCR
+  const decoded = barcode ? await decodeBarcode(image) : null;
+  const byBarcode = decoded?.success
+    ? await resolveExtracted(fromBarcode(decoded.code), null, { explain, keyId })
+    : null;
+  if (byBarcode?.success) return byBarcode;
+
+  // Step 2: OCR
+  const ocrResult = await extractTextFromImage(image, { keyId });
+
+  if (!ocrResult.success) {
+    return {
+      success: false,
+      step_failed: 'ocr',
+      error: ocrResult.error,
+      barcode: byBarcode?.barcode ?? null
+    };
+  }
+
+  // Printed digits are only worth trying when the bars could not be read
+  const extracted = byBarcode ? { ...ocrResult.extracted, barcode: null } : ocrResult.extracted;
+  const payload = await resolveExtracted(extracted, ocrResult.raw_text, { explain, keyId });
+  return byBarcode ? { ...payload, barcode: byBarcode.barcode } : payload;
+}
+
+async function runMultiScan(images, { explain, barcode, keyId }) {
+  // Step 1: barcodes, when asked for; the one most images agree on is tried before any OCR
+  const decoded = barcode
+    ? (await Promise.all(images.map(decodeBarcode))).map((read, index) => ({ index, ...read }))
+    : images.map((image, index) => ({ index, success: false }));
+  const barcodeVotes = tally(decoded.filter(read => read.success), read => [{ value: read.code, weight: 1 }]);
+  const byBarcode = barcodeVotes.length
+    ? await resolveExtracted(fromBarcode(barcodeVotes[0].value), null, { explain, keyId })
+    : null;
+
+  if (byBarcode?.success) {
+    return {
+      ...byBarcode,
+      images: decoded.map(read => ({ index: read.index, barcode: read.code ?? null })),
+      votes: { barcode: barcodeVotes },
+      field_sources: { barcode: barcodeVotes[0].images }
+    };
+  }
+
+  // Step 2: OCR every image (two at a time)
+  const scans = await mapWithConcurrency(images, 2, image => extractTextFromImage(image, { keyId }));
+
+  const perImage = scans.map((ocrResult, index) => (ocrResult.success ? {
+    index,
+    success: true,
+    barcode: decoded[index].code ?? null,
+    provider: ocrResult.provider,
+    sku: ocrResult.extracted.sku,
+    sku_candidates: [...new Set(ocrResult.extracted.sku_candidates.map(c => c.sku))],
+    us_size: ocrResult.extracted.us_size,
+    brand_hint: ocrResult.extracted.brand_hint
+  } : {
+    index,
+    success: false,
+    barcode: decoded[index].code ?? null,
+    provider: ocrResult.provider ?? null,
+    error: ocrResult.error
+  }));
+
+  const reads = scans
+    .map((ocrResult, index) => ({ index, ...ocrResult }))
+    .filter(read => read.success);
+
+  if (!reads.length) {
+    return {
+      success: false,
+      step_failed: 'ocr',
+      error: `No text read from any of the ${images.length} images`,
+      barcode: byBarcode?.barcode ?? null,
+      images: perImage
+    };
+  }
+
+  // Step 3: vote, then resolve the winner (printed digits only when no bars were read)
+  const { extracted, votes, field_sources } = voteExtractions(reads);
+  const rawText = reads.map(read => read.raw_text).join('\n\n');
+  const payload = await resolveExtracted(byBarcode ? { ...extracted, barcode: null } : extracted, rawText, { explain, keyId });
+
+  return {
+    ...payload,
+    ...(byBarcode && { barcode: byBarcode.barcode }),
+    images: perImage,
+    votes: byBarcode ? { ...votes, barcode: barcodeVotes } : votes,
+    field_sources: byBarcode ? { ...field_sources, barcode: barcodeVotes[0].images } : field_sources
+  };
+}
+
+/**
+ * Resolve what was read: the barcode first, then the SKU
+ * The payload's `barcode` block (code, SKU, size) is set whenever a barcode
+ * was tried, and `sku_source` tells which of the two answered.
+ */
+async function resolveExtracted(extracted, rawText, { explain, keyId }) {
+  let barcode = null;
+
+  if (extracted.barcode) {
+    const byBarcode = await resolve(extracted.barcode, { explain, keyId });
+    barcode = byBarcode.barcode ?? null;
+
+    if (byBarcode.success) {
+      return toPayload(byBarcode, {
+        sku: barcode.sku,
+        us_size: barcode.size ?? extracted.us_size,
+        size: barcodeSize(barcode.size, byBarcode.resolved.brand) ?? extracted.size,
+        brand_hint: extracted.brand_hint
+      }, { rawText, barcode, skuSource: 'barcode' });
+    }
+  }
+
+  // Check if we found a SKU
+  if (!extracted.sku) {
+    return {
+      success: false,
+      step_failed: 'sku_extraction',
+      error: 'No SKU detected in image',
+      raw_text: rawText,
+      us_size: extracted.us_size,
+      size: extracted.size,
+      barcode
+    };
+  }
+
+  // Resolve the SKU
+  const resolveResult = await resolve(extracted.sku, { explain, keyId });
+  return toPayload(resolveResult, extracted, { rawText, barcode, skuSource: 'ocr' });
+}
+
+function toPayload(resolveResult, extracted, { rawText, barcode, skuSource }) {
+  return {
+    success: resolveResult.success,
+    sku: extracted.sku,
+    sku_source: skuSource,
+    us_size: extracted.us_size,
+    size: extracted.size,
+    brand_hint: extracted.brand_hint,
+    resolved: resolveResult.success ? resolveResult.resolved : null,
+    confidence: resolveResult.confidence,
+    ...(resolveResult.confidence_detail ? { confidence_detail: resolveResult.confidence_detail } : {}),
+    source: resolveResult.source,
+    market: withMarketSize(resolveResult.market || null, extracted.size),
+    barcode,
+    ...(resolveResult.success ? {} : {
+      step_failed: 'resolve',
+      error: resolveResult.error,
+      error_code: resolveResult.error_code,
+      retryable: resolveResult.retryable ?? false,
+      retry_after: resolveResult.retry_after ?? null
+    }),
+    raw_text: rawText
+  };
+}
+
+/**
+ * What a decoded barcode alone tells us, in extractFromText() shape
+ */
+function fromBarcode(code) {
+  return { sku: null, sku_candidates: [], us_size: null, size: null, brand_hint: null, barcode: code };
+}
+
+/**
+ * Size table for the size a barcode stands for (null when unknown)
+ */
+function barcodeSize(label, brand) {
+  const input = label ? parseSizeInput(label) : null;
+  if (!input) return null;
+
+  const conversion = convertSize({ ...input, brand });
+  return conversion.success ? conversion.sizes : null;
+}
+
+/**
+ * Count votes per value: each image votes at most once per value
+ * @returns {Array<{ value: string, images: Array<number>, weight: number }>} Most images first
+ */
+function tally(reads, valuesOf) {
+  const byValue = new Map();
+
+  for (const read of reads) {
+    const best = new Map();
+    for (const { value, weight } of valuesOf(read)) {
+      best.set(value, Math.max(best.get(value) ?? 0, weight));
+    }
+
+    for (const [value, weight] of best) {
+      const entry = byValue.get(value) || { value, images: [], weight: 0 };
+      entry.images.push(read.index);
+      entry.weight = Math.round((entry.weight + weight) * 100) / 100;
+      byValue.set(value, entry);
+    }
+  }
+
+  return [...byValue.values()].sort((a, b) => b.images.length - a.images.length || b.weight - a.weight);
+}
+
+/**
+ * Size tag weight: 1 plus 0.1 per region found, halved when the regions disagree
+ */
+function sizeQuality(size) {
+  const weight = 1 + (size.regions_found?.length || 0) / 10;
+  return size.consistent === false ? weight / 2 : weight;
+}
@@ -0,0 +1,261 @@
+/**
+ * Size Converter - Brand-aware conversion between US, UK, EU, CM and JP sizes
+ *
+ * Charts are per brand because the same US size maps to different EU/CM
+ * sizes across brands (a Nike men's 10 is EU 44, a Puma men's 10 is EU 43).
+ * Rows are men's sizes: [US, UK, EU, CM]. JP sizing equals CM.
+ * Women's US sizes are men's US plus the brand's `womenOffset`.
+ *
+ * Charts follow the brands' published adult charts, rounded to the values
+ * printed on tags. Sizes between rows are interpolated.
+ */
+
+import { classifySku } from '../classifiers/sku-classifier.js';
+import { parseSizeTag } from '../classifiers/size-parser.js';
+
+const SIZE_CHARTS = {
+  nike: {
+    label: 'Nike / Jordan',
+    womenOffset: 1.5,
+    rows: [
+      [6, 5.5, 38.5, 24], [6.5, 6, 39, 24.5], [7, 6, 40, 25], [7.5, 6.5, 40.5, 25.5],
+      [8, 7, 41, 26], [8.5, 7.5, 42, 26.5], [9, 8, 42.5, 27], [9.5, 8.5, 43, 27.5],
+      [10, 9, 44, 28], [10.5, 9.5, 44.5, 28.5], [11, 10, 45, 29], [11.5, 10.5, 45.5, 29.5],
+      [12, 11, 46, 30], [12.5, 11.5, 47, 30.5], [13, 12, 47.5, 31], [14, 13, 48.5, 32],
+      [15, 14, 49.5, 33]
+    ]
+  },
+  adidas: {
+    label: 'Adidas',
+    womenOffset: 1,
+    rows: [
+      [6, 5.5, 38.67, 24], [6.5, 6, 39.33, 24.5], [7, 6.5, 40, 25], [7.5, 7, 40.67, 25.5],
+      [8, 7.5, 41.33, 26], [8.5, 8, 42, 26.5], [9, 8.5, 42.67, 27], [9.5, 9, 43.33, 27.5],
+      [10, 9.5, 44, 28], [10.5, 10, 44.67, 28.5], [11, 10.5, 45.33, 29], [11.5, 11, 46, 29.5],
+      [12, 11.5, 46.67, 30], [12.5, 12, 47.33, 30.5], [13, 12.5, 48, 31], [14, 13.5, 49.33, 32],
+      [15, 14.5, 50.67, 33]
+    ]
+  },
+  'new balance': {
+    label: 'New Balance',
+    womenOffset: 1.5,
+    rows: [
+      [6, 5.5, 38.5, 24], [6.5, 6, 39.5, 24.5], [7, 6.5, 40, 25], [7.5, 7, 40.5, 25.5],
+      [8, 7.5, 41.5, 26], [8.5, 8, 42, 26.5], [9, 8.5, 42.5, 27], [9.5, 9, 43, 27.5],
+      [10, 9.5, 44, 28], [10.5, 10, 44.5, 28.5], [11, 10.5, 45, 29], [11.5, 11, 45.5, 29.5],
+      [12, 11.5, 46.5, 30], [12.5, 12, 47, 30.5], [13, 12.5, 47.5, 31], [14, 13.5, 49, 32],
+      [15, 14.5, 50, 33]
+    ]
+  },
+  puma: {
+    label: 'Puma',
+    womenOffset: 1.5,
+    rows: [
+      [6, 5, 38, 24], [6.5, 5.5, 38.5, 24.5], [7, 6, 39, 25], [7.5, 6.5, 40, 25.5],
+      [8, 7, 40.5, 26], [8.5, 7.5, 41, 26.5], [9, 8, 42, 27], [9.5, 8.5, 42.5, 27.5],
+      [10, 9, 43, 28], [10.5, 9.5, 44, 28.5], [11, 10, 44.5, 29], [11.5, 10.5, 45, 29.5],
+      [12, 11, 46, 30], [13, 12, 47, 31], [14, 13, 48.5, 32]
+    ]
+  },
+  converse: {
+    label: 'Converse',
+    womenOffset: 2,
+    rows: [
+      [6, 6, 39, 24.5], [6.5, 6.5, 39.5, 25], [7, 7, 40, 25.5], [7.5, 7.5, 41, 26],
+      [8, 8, 41.5, 26.5], [8.5, 8.5, 42, 27], [9, 9, 42.5, 27.5], [9.5, 9.5, 43, 28],
+      [10, 10, 44, 28.5], [10.5, 10.5, 44.5, 29], [11, 11, 45, 29.5], [11.5, 11.5, 46, 30],
+      [12, 12, 46.5, 30.5], [13, 13, 48, 31.5], [14, 14, 49, 32.5]
+    ]
+  },
+  vans: {
+    label: 'Vans',
+    womenOffset: 1.5,
+    rows: [
+      [6, 5, 38, 24], [6.5, 5.5, 38.5, 24.5], [7, 6, 39, 25], [7.5, 6.5, 40, 25.5],
+      [8, 7, 40.5, 26], [8.5, 7.5, 41, 26.5], [9, 8, 42, 27], [9.5, 8.5, 42.5, 27.5],
+      [10, 9, 43, 28], [10.5, 9.5, 44, 28.5], [11, 10, 44.5, 29], [11.5, 10.5, 45, 29.5],
+      [12, 11, 46, 30], [13, 12, 47, 31], [14, 13, 48, 32]
+    ]
+  },
+  asics: {
+    label: 'Asics',
+    womenOffset: 1.5,
+    rows: [
+      [6, 5, 39, 24], [6.5, 5.5, 39.5, 24.5], [7, 6, 40, 25], [7.5, 6.5, 40.5, 25.5],
+      [8, 7, 41.5, 26], [8.5, 7.5, 42, 26.5], [9, 8, 42.5, 27], [9.5, 8.5, 43.5, 27.5],
+      [10, 9, 44, 28], [10.5, 9.5, 44.5, 28.5], [11, 10, 45, 29], [11.5, 10.5, 46, 29.5],
+      [12, 11, 46.5, 30], [13, 12, 48, 31], [14, 13, 49, 32]
+    ]
+  },
+  reebok: {
+    label: 'Reebok',
+    womenOffset: 1.5,
+    rows: [
+      [6, 5, 38, 24], [6.5, 5.5, 38.5, 24.5], [7, 6, 39, 25], [7.5, 6.5, 40, 25.5],
+      [8, 7, 40.5, 26], [8.5, 7.5, 41, 26.5], [9, 8, 42, 27], [9.5, 8.5, 42.5, 27.5],
+      [10, 9, 43, 28], [10.5, 9.5, 44, 28.5], [11, 10, 44.5, 29], [11.5, 10.5, 45, 29.5],
+      [12, 11, 45.5, 30], [13, 12, 47, 31], [14, 13, 48.5, 32]
+    ]
+  }
+};
+
+// Brand names (as returned by classifySku / the normalizer) → chart
+const BRAND_CHARTS = {
+  NIKE: 'nike',
+  JORDAN: 'nike',
+  ADIDAS: 'adidas',
+  YEEZY: 'adidas',
+  'NEW BALANCE': 'new balance',
+  PUMA: 'puma',
+  CONVERSE: 'converse',
+  VANS: 'vans',
+  ASICS: 'asics',
+  REEBOK: 'reebok'
+};
+
+// Used when the brand is unknown
+const DEFAULT_CHART = 'nike';
+
+const COLUMNS = { us: 0, uk: 1, eu: 2, cm: 3, jp: 3 };
+const REGIONS = ['us', 'uk', 'eu', 'cm', 'jp'];
+
+/**
+ * Chart key for a brand name
+ * @param {string} brand
+ * @returns {string|null}
+ */
+export function getChartKey(brand) {
+  if (!brand) return null;
+  return BRAND_CHARTS[brand.toUpperCase()] || null;
+}
+
+/**
+ * List available charts
+ * @returns {Array<{ key: string, label: string, women_offset: number, range: Object }>}
+ */
+export function listSizeCharts() {
+  return Object.entries(SIZE_CHARTS).map(([key, chart]) => ({
+    key,
+    label: chart.label,
+    women_offset: chart.womenOffset,
+    range: {
+      us_men: [chart.rows[0][0], chart.rows[chart.rows.length - 1][0]]
+    }
+  }));
+}
+
+/**
+ * Convert a size to every region using the brand's chart
+ *
+ * @param {Object} params
+ * @param {string} [params.brand] - Brand name; `sku` is classified if omitted
+ * @param {string} [params.sku] - SKU to take the brand from
+ * @param {number} params.size - The size value
+ * @param {string} [params.region='us'] - us, uk, eu, cm or jp
+ * @param {string} [params.gender='men'] - men or women (US sizes only)
+ * @returns {{ success: boolean, error?: string, brand?: string, chart?: string, input?: Object, sizes?: Object, interpolated?: boolean }}
+ */
+export function convertSize({ brand, sku, size, region = 'us', gender = 'men' }) {
+  const value = typeof size === 'string' ? parseFloat(size) : size;
+  if (!Number.isFinite(value)) {
+    return { success: false, error: 'Size must be a number' };
+  }
+
+  region = (region || 'us').toLowerCase();
+  if (!REGIONS.includes(region)) {
+    return { success: false, error: `Unknown size region "${region}" (use ${REGIONS.join(', ')})` };
+  }
+
+  gender = (gender || 'men').toLowerCase();
+  if (!['men', 'women'].includes(gender)) {
+    return { success: false, error: 'Gender must be men or women' };
+  }
+
+  const resolvedBrand = brand || (sku ? classifySku(sku).brand : null);
+  const matchedChart = getChartKey(resolvedBrand);
+  const chartKey = matchedChart || DEFAULT_CHART;
+  const chart = SIZE_CHARTS[chartKey];
+
+  // Women's US sizes are looked up through the men's equivalent
+  const lookupValue = region === 'us' && gender === 'women' ? value - chart.womenOffset : value;
+  const row = lookupRow(chart.rows, COLUMNS[region], region === 'jp' && value > 100 ? value / 10 : lookupValue);
+
+  if (!row) {
+    return { success: false, error: `Size ${value} is outside the ${chart.label} chart` };
+  }
+
+  const [usMen, uk, eu, cm] = row.values;
+
+  return {
+    success: true,
+    brand: resolvedBrand || 'Unknown',
+    chart: chartKey,
+    chart_matched: !!matchedChart,
+    input: { size: value, region, gender },
+    sizes: {
+      us_men: roundTo(usMen, 0.5),
+      us_women: roundTo(usMen + chart.womenOffset, 0.5),
+      uk: roundTo(uk, 0.5),
+      eu: chartKey === 'adidas' ? Math.round(eu * 100) / 100 : roundTo(eu, 0.5),
+      cm: Math.round(cm * 10) / 10,
+      jp: Math.round(cm * 10) / 10
+    },
+    interpolated: row.interpolated
+  };
+}
+
+/**
+ * Parse a free-form size input such as 10, "10.5", "W 8.5", "UK 9" or "EU 44 2/3"
+ * Bare numbers are treated as US men's sizes.
+ * @param {string|number} input
+ * @returns {{ size: number, region: string, gender: string }|null}
+ */
+export function parseSizeInput(input) {
+  if (typeof input === 'number') {
+    return Number.isFinite(input) ? { size: input, region: 'us', gender: 'men' } : null;
+  }
+  if (typeof input !== 'string' || !input.trim()) return null;
+
+  if (/^\d{1,2}(\.\d)?$/.test(input.trim())) {
+    return { size: parseFloat(input), region: 'us', gender: 'men' };
+  }
+
+  const parsed = parseSizeTag(input);
+  if (!parsed) return null;
+
+  if (parsed.us_women != null && parsed.us_men == null) return { size: parsed.us_women, region: 'us', gender: 'women' };
+  if (parsed.us_men != null) return { size: parsed.us_men, region: 'us', gender: 'men' };
+  for (const region of ['uk', 'eu', 'cm', 'jp']) {
+    if (parsed[region] != null) return { size: parsed[region], region, gender: 'men' };
+  }
+
+  return null;
+}
+
+/**
+ * Find the chart row for a value in one column, interpolating between rows
+ */
+function lookupRow(rows, column, value) {
+  const sorted = [...rows].sort((a, b) => a[column] - b[column]);
+
+  const exact = sorted.find(row => Math.abs(row[column] - value) < 0.01);
+  if (exact) return { values: exact, interpolated: false };
+
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const low = sorted[i];
+    const high = sorted[i + 1];
+    if (value > low[column] && value < high[column]) {
+      const t = (value - low[column]) / (high[column] - low[column]);
+      return {
+        values: low.map((v, idx) => v + (high[idx] - v) * t),
+        interpolated: true
+      };
+    }
+  }
+
+  return null;
+}
+
+function roundTo(value, step) {
+  return Math.round(value / step) * step;
+}
@@ -0,0 +1,156 @@
+/**
+ * Usage accounting
+ * Per API key and UTC day, counted where the work happens rather than from
+ * HTTP logs: resolve() and search() record lookups, cache hits and the
+ * resolver calls they made, the OCR service records provider calls.
+ * Requests come from the quota counter (src/db/api-keys.js).
+ *
+ * Counters: requests, lookups, searches, cache_hits, negative_cache_hits,
+ * upstream:<resolver>, ocr:<provider>. Calls without a key are recorded
+ * under "anonymous". USAGE_PRICES (JSON) sets a per-call price for any
+ * counter, e.g. {"upstream:kicksdb": 0.002, "ocr:google-vision": 0.0015}.
+ */
+
+import { getStore } from '../db/cache.js';
+import { listApiKeys, usageDay, ADMIN_KEY_ID, ANONYMOUS_KEY_ID } from '../db/api-keys.js';
+
+const UPSTREAM_PREFIX = 'upstream:';
+const OCR_PREFIX = 'ocr:';
+
+// Parsed USAGE_PRICES, keyed by the raw JSON string
+const parsedPrices = new Map();
+
+/**
+ * Add to a usage tally (a plain { counter: count } object); no-op without one
+ * @param {Object|null} usage
+ * @param {string} counter
+ * @param {number} [count=1]
+ */
+export function countUsage(usage, counter, count = 1) {
+  if (usage) usage[counter] = (usage[counter] || 0) + count;
+}
+
+/**
+ * Store a tally for a key and today's date
+ * Never throws: accounting must not fail the request it accounts for.
+ *
+ * @param {string|null} keyId - null for anonymous calls
+ * @param {Object<string, number>} usage
+ * @param {number} [now]
+ */
+export function recordUsage(keyId, usage, now = Date.now()) {
+  if (!Object.keys(usage).length) return;
+
+  try {
+    getStore().addUsage(keyId || ANONYMOUS_KEY_ID, usageDay(now), usage);
+  } catch (error) {
+    console.warn('Usage could not be recorded:', error.message);
+  }
+}
+
+/**
+ * Usage totals and estimated cost, overall and per key with a daily breakdown
+ * @param {Object} options
+ * @param {string} options.from - First day, YYYY-MM-DD (UTC)
+ * @param {string} options.to - Last day, inclusive
+ * @param {string} [options.keyId] - Only this key
+ * @returns {Object}
+ */
+export function getUsageReport({ from, to, keyId = null }) {
+  const prices = getUsagePrices();
+  const rows = getStore().listUsage({ from, to, keyId });
+  const names = new Map(listApiKeys().map(key => [key.id, key.name]));
+  names.set(ADMIN_KEY_ID, 'ADMIN_API_KEY');
+  names.set(ANONYMOUS_KEY_ID, 'Anonymous');
+
+  const byKey = new Map();
+  for (const row of rows) {
+    if (!byKey.has(row.keyId)) byKey.set(row.keyId, new Map());
+    const days = byKey.get(row.keyId);
+    if (!days.has(row.day)) days.set(row.day, {});
+    countUsage(days.get(row.day), row.counter, row.count);
+  }
+
+  const total = {};
+  const keys = [...byKey].map(([id, days]) => {
+    const keyTotal = {};
+    for (const counts of days.values()) addCounts(keyTotal, counts);
+    addCounts(total, keyTotal);
+
+    return {
+      key_id: id,
+      name: names.get(id) ?? null,
+      ...summarize(keyTotal, prices),
+      days: [...days].map(([day, counts]) => ({ day, ...summarize(counts, prices) }))
+    };
+  });
+
+  keys.sort((a, b) => b.estimated_cost - a.estimated_cost || b.requests - a.requests);
+
+  return {
+    from,
+    to,
+    prices,
+    totals: summarize(total, prices),
+    keys
+  };
+}
+
+/**
+ * Per-call prices from USAGE_PRICES (counters without a price cost nothing)
+ * @returns {Object<string, number>}
+ */
+export function getUsagePrices() {
+  const raw = process.env.USAGE_PRICES;
+  if (!raw) return {};
+  if (parsedPrices.has(raw)) return parsedPrices.get(raw);
+
+  let prices = {};
+  try {
+    prices = Object.fromEntries(
+      Object.entries(JSON.parse(raw)).filter(([, value]) => typeof value === 'number' && value >= 0)
+    );
+  } catch (error) {
+    console.warn(`Ignoring USAGE_PRICES: not valid JSON (${error.message})`);
+  }
+
+  parsedPrices.set(raw, prices);
+  return prices;
+}
+
+function addCounts(target, counts) {
+  for (const [counter, count] of Object.entries(counts)) countUsage(target, counter, count);
+}
+
+/**
+ * Report shape for a set of counters
+ */
+function summarize(counts, prices) {
+  const lookups = counts.lookups || 0;
+  // At most one of the two per lookup
+  const cacheHits = (counts.cache_hits || 0) + (counts.negative_cache_hits || 0);
+  const cost = Object.entries(counts).reduce((sum, [counter, count]) => sum + count * (prices[counter] || 0), 0);
+
+  return {
+    requests: counts.requests || 0,
+    lookups,
+    searches: counts.searches || 0,
+    cache_hits: counts.cache_hits || 0,
+    negative_cache_hits: counts.negative_cache_hits || 0,
+    cache_hit_rate: lookups ? Math.round((cacheHits / lookups) * 1000) / 1000 : null,
+    upstream_calls: withPrefix(counts, UPSTREAM_PREFIX),
+    ocr_calls: withPrefix(counts, OCR_PREFIX),
+    estimated_cost: Math.round(cost * 1e6) / 1e6
+  };
+}
+
+/**
+ * { "upstream:kicksdb": 3 } → { kicksdb: 3 }
+ */
+function withPrefix(counts, prefix) {
+  return Object.fromEntries(
+    Object.entries(counts)
+      .filter(([counter]) => counter.startsWith(prefix))
+      .map(([counter, count]) => [counter.slice(prefix.length), count])
+  );
+}
@@ -0,0 +1,146 @@
+/**
+ * Authentication helpers
+ *
+ * identifyApiKey runs on every request (before rate limiting, which is per
+ * key) and only records who is calling. Route plugins then enforce access:
+ *   fastify.addHook('onRequest', requireScope('resolve'));
+ *   fastify.addHook('preHandler', enforceQuota);
+ * Keys are required unless REQUIRE_API_KEY=false; then anonymous calls are
+ * allowed, but a presented key must still be valid and is still limited.
+ */
+
+import crypto from 'node:crypto';
+import { authenticateApiKey, recordApiKeyRequest, ANONYMOUS_KEY_ID } from '../db/api-keys.js';
+
+/**
+ * Read the API key from the request headers
+ * Accepts `Authorization: Bearer <key>` or `X-API-Key: <key>`
+ * @param {Object} request - Fastify request
+ * @returns {string|null}
+ */
+export function getRequestApiKey(request) {
+  const header = request.headers['x-api-key'];
+  if (header) return String(header).trim();
+
+  const auth = request.headers.authorization;
+  if (auth && /^Bearer\s+/i.test(auth)) {
+    return auth.replace(/^Bearer\s+/i, '').trim();
+  }
+
+  return null;
+}
+
+/**
+ * Constant-time string comparison
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) return false;
+
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Whether every scoped route needs a key (unless REQUIRE_API_KEY=false)
+ * @returns {boolean}
+ */
+export function isApiKeyRequired() {
+  return process.env.REQUIRE_API_KEY !== 'false';
+}
+
+/**
+ * Fastify onRequest hook: attach the caller's key record as `request.apiKey`
+ * (null when none was sent) and flag unknown or revoked keys
+ */
+export async function identifyApiKey(request) {
+  const presented = getRequestApiKey(request);
+  request.apiKey = presented ? authenticateApiKey(presented) : null;
+  request.apiKeyInvalid = !!presented && !request.apiKey;
+}
+
+/**
+ * Build a hook that lets through callers whose key has `scope`
+ * (and anonymous callers when REQUIRE_API_KEY=false)
+ * @param {'resolve'|'scan'|'admin'} scope
+ * @returns {Function}
+ */
+export function requireScope(scope) {
+  return async function checkScope(request, reply) {
+    if (request.apiKeyInvalid) {
+      return reply.status(401).send({ success: false, error: 'Invalid or revoked API key' });
+    }
+
+    if (!request.apiKey) {
+      if (!isApiKeyRequired()) return;
+      return reply.status(401).send({
+        success: false,
+        error: 'API key required. Send it as X-API-Key or Authorization: Bearer <key>.'
+      });
+    }
+
+    if (!request.apiKey.scopes.includes(scope)) {
+      return reply.status(403).send({ success: false, error: `API key is not allowed the ${scope} scope` });
+    }
+  };
+}
+
+/**
+ * Fastify preHandler: count the request against the key's daily quota,
+ * replying 429 when it does not fit in what is left (until the next UTC midnight)
+ * Anonymous requests are counted too, for usage reports, but have no quota.
+ * A route can charge more than one unit with `config: { quotaCost: (request) => n }`.
+ */
+export async function enforceQuota(request, reply) {
+  const requests = request.routeOptions.config?.quotaCost?.(request) ?? 1;
+  const usage = recordApiKeyRequest(request.apiKey || { id: ANONYMOUS_KEY_ID, dailyQuota: null }, { requests });
+  if (usage.quota != null) {
+    reply.header('X-Quota-Limit', String(usage.quota));
+    reply.header('X-Quota-Remaining', String(Math.max(0, usage.quota - usage.used)));
+  }
+
+  if (usage.exceeded) {
+    const retryAfter = Math.ceil((usage.resetAt - Date.now()) / 1000);
+    reply.header('Retry-After', String(retryAfter));
+    return reply.status(429).send({
+      success: false,
+      error: usage.requested > 1
+        ? `Daily quota of ${usage.quota} requests exceeded (this request needs ${usage.requested}, ${Math.max(0, usage.quota - usage.used)} left)`
+        : `Daily quota of ${usage.quota} requests exceeded`,
+      error_code: 'quota_exceeded',
+      retry_after: retryAfter
+    });
+  }
+}
+
+/**
+ * Fastify preHandler that only lets ADMIN_API_KEY holders and keys with
+ * the admin scope through
+ */
+export async function requireAdmin(request, reply) {
+  if (request.apiKey?.scopes.includes('admin')) return;
+
+  if (!process.env.ADMIN_API_KEY && !request.apiKey && !request.apiKeyInvalid) {
+    return reply.status(503).send({
+      success: false,
+      error: 'Admin API not configured. Set ADMIN_API_KEY.'
+    });
+  }
+
+  if (request.apiKey) {
+    return reply.status(403).send({
+      success: false,
+      error: 'API key is not allowed the admin scope'
+    });
+  }
+
+  return reply.status(401).send({
+    success: false,
+    error: 'Invalid or missing admin API key'
+  });
+}
@@ -0,0 +1,141 @@
+/**
+ * Callback URL safety
+ * Job webhooks are POSTed by the server to a URL the client picked, so the
+ * URL must not reach into the server's own network (SSRF): loopback,
+ * private, link-local (cloud metadata at 169.254.169.254), shared and
+ * reserved addresses are refused. URLs are checked when a job is submitted
+ * and again on delivery, where the check runs on the address actually
+ * connected to, so a DNS answer that changes in between does not get through.
+ * Redirects are not followed.
+ *
+ * WEBHOOK_ALLOWED_HOSTS (comma-separated host names) restricts callbacks to
+ * those hosts instead; listed hosts are trusted, private addresses included.
+ */
+
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv4');
+}
+// NAT64 (64:ff9b::/96) and 6to4 (2002::/16) embed IPv4 addresses, private ones included
+for (const [address, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * Whether an IP address is publicly routable
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isPublicAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check a callback URL before a job is accepted or its webhook is sent
+ * @param {string} value
+ * @returns {Promise<string|null>} Why the URL is refused, or null when it is acceptable
+ */
+export async function checkCallbackUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'callback_url is not a valid URL';
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return 'callback_url must be an http or https URL';
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const allowedHosts = getAllowedHosts();
+  if (allowedHosts) {
+    return allowedHosts.includes(host) ? null : `callback_url host ${host} is not in WEBHOOK_ALLOWED_HOSTS`;
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(a => a.address);
+  } catch {
+    return `callback_url host ${host} could not be resolved`;
+  }
+
+  return addresses.every(isPublicAddress)
+    ? null
+    : 'callback_url must not point to a loopback, private or link-local address';
+}
+
+/**
+ * POST a body to a callback URL, connecting only to public addresses
+ * (unless the host is in WEBHOOK_ALLOWED_HOSTS)
+ *
+ * @param {string} url - Already checked with checkCallbackUrl()
+ * @param {string} body
+ * @param {Object} headers
+ * @param {number} timeoutMs
+ * @returns {Promise<number>} The response status
+ */
+export function postToCallback(url, body, headers, timeoutMs) {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: getAllowedHosts() ? undefined : publicLookup,
+      timeout: timeoutMs
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * dns.lookup() for outgoing sockets that fails on non-public answers
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Hosts from WEBHOOK_ALLOWED_HOSTS, or null when callbacks may go to any public host
+ */
+function getAllowedHosts() {
+  const hosts = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+  return hosts.length ? hosts : null;
+}
@@ -0,0 +1,29 @@
+/**
+ * Concurrency helpers
+ */
+
+/**
+ * Map over items with at most `limit` calls in flight
+ * Results keep the input order.
+ *
+ * @param {Array} items
+ * @param {number} limit
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>}
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
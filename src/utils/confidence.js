@@ -2,8 +2,43 @@
  * Confidence scoring for resolver results
  */
 
+// Signal weights; override any of them with CONFIDENCE_WEIGHTS (JSON)
+const DEFAULT_WEIGHTS = {
+  pattern: 0.30,        // Multiplied by the SKU pattern confidence
+  exact_match: 0.25,    // Source returned the exact SKU
+  has_brand: 0.10,
+  has_model: 0.10,
+  has_colorway: 0.10,
+  cache_bonus: 0.05,    // Cached results were good enough to cache
+  agreement: 0.20       // Consensus mode: ±half of this for full (dis)agreement
+};
+
+// Source reliability; override with CONFIDENCE_SOURCE_SCORES (JSON)
+const DEFAULT_SOURCE_SCORES = {
+  cache: 0.15,      // Cached results were previously validated
+  catalog: 0.15,    // Our own curated catalog
+  kicksdb: 0.15,    // Paid API, good data
+  sneaks: 0.12,     // Open source, decent data
+  google: 0.08,     // Search results, less reliable
+  unknown: 0.02
+};
+
+const DEFAULT_CACHE_THRESHOLD = 0.5;
+
+// Parsed override env values, keyed by the raw JSON string
+const parsedOverrides = new Map();
+
 /**
  * Calculate overall confidence score based on multiple signals
+ * @param {Object} params - See explainConfidence()
+ * @returns {number} Confidence score 0-1
+ */
+export function calculateConfidence(params) {
+  return explainConfidence(params).score;
+}
+
+/**
+ * Score a result and explain the score
  * @param {Object} params
  * @param {number} params.patternConfidence - SKU pattern match confidence (0-1)
  * @param {string} params.source - Where the data came from
@@ -12,49 +47,158 @@
  * @param {boolean} params.hasModel - Does result have model info?
  * @param {boolean} params.hasColorway - Does result have colorway info?
  * @param {boolean} params.fromCache - Was this from our cache?
- * @returns {number} Confidence score 0-1
+ * @param {Array<{ brand: string, score: number }>} [params.brandCandidates] - Ranked brands from classifySku
+ * @param {string} [params.resolvedBrand] - Brand reported by the source
+ * @param {number|null} [params.sourceAgreement] - Share of sources agreeing on brand/model/colorway (consensus mode)
+ * @returns {{ score: number, level: string, signals: Array<{ signal: string, contribution: number }>, reasons: Array<string> }}
  */
-export function calculateConfidence({
+export function explainConfidence({
   patternConfidence = 0.5,
   source = 'unknown',
   exactSkuMatch = false,
   hasBrand = false,
   hasModel = false,
   hasColorway = false,
-  fromCache = false
+  fromCache = false,
+  brandCandidates = null,
+  resolvedBrand = null,
+  sourceAgreement = null
 }) {
-  let score = 0;
+  const weights = getConfidenceWeights();
+  const sourceScores = getSourceScores();
+  const signals = [];
+  const reasons = [];
+
+  const add = (signal, contribution) => {
+    signals.push({ signal, contribution: round(contribution) });
+  };
 
-  // Base score from pattern match
-  score += patternConfidence * 0.3;
+  // Base score from pattern match, checked against the brand the source returned
+  const pattern = brandPatternConfidence(patternConfidence, brandCandidates, resolvedBrand);
+  add('pattern', pattern * weights.pattern);
+  if (!brandCandidates?.length) {
+    reasons.push('SKU format does not match a known brand pattern');
+  } else if (resolvedBrand && !findCandidate(brandCandidates, resolvedBrand)) {
+    reasons.push(`Source brand ${resolvedBrand} does not fit the SKU format (expected ${brandCandidates[0].brand}), pattern score halved`);
+  } else {
+    reasons.push(`SKU format matches ${resolvedBrand || brandCandidates[0].brand} (${round(pattern)})`);
+  }
 
   // Exact SKU match is a strong signal
-  if (exactSkuMatch) {
-    score += 0.25;
+  add('exact_match', exactSkuMatch ? weights.exact_match : 0);
+  if (!exactSkuMatch) {
+    reasons.push('SKU not an exact match, fell back to first search result');
   }
 
   // Source reliability
-  const sourceScores = {
-    cache: 0.15,      // Cached results were previously validated
-    kicksdb: 0.15,    // Paid API, good data
-    sneaks: 0.12,     // Open source, decent data
-    google: 0.08,     // Search results, less reliable
-    unknown: 0.02
-  };
-  score += sourceScores[source] || sourceScores.unknown;
+  const sourceScore = sourceScores[source] ?? sourceScores.unknown;
+  add('source', sourceScore);
+  reasons.push(`Source ${source} scores ${sourceScore} for reliability`);
 
   // Completeness of data
-  if (hasBrand) score += 0.10;
-  if (hasModel) score += 0.10;
-  if (hasColorway) score += 0.10;
+  add('has_brand', hasBrand ? weights.has_brand : 0);
+  add('has_model', hasModel ? weights.has_model : 0);
+  add('has_colorway', hasColorway ? weights.has_colorway : 0);
+  const missing = [!hasBrand && 'brand', !hasModel && 'model', !hasColorway && 'colorway'].filter(Boolean);
+  if (missing.length) reasons.push(`Missing ${missing.join(', ')}`);
 
   // Cached results get a small boost (they were good enough to cache)
   if (fromCache) {
-    score += 0.05;
+    add('cache_bonus', weights.cache_bonus);
+    reasons.push('Served from cache');
+  }
+
+  // Cross-source agreement: + half the weight when all sources agree, - half when none do
+  if (sourceAgreement != null) {
+    add('agreement', (sourceAgreement - 0.5) * weights.agreement);
+    reasons.push(`Sources agree on ${Math.round(sourceAgreement * 100)}% of brand/model/colorway values`);
   }
 
   // Clamp to 0-1
-  return Math.min(1, Math.max(0, score));
+  const total = signals.reduce((sum, s) => sum + s.contribution, 0);
+  const score = Math.min(1, Math.max(0, total));
+
+  return { score, level: getConfidenceLevel(score), signals, reasons };
+}
+
+/**
+ * Minimum confidence for a result to be cached, from CACHE_MIN_CONFIDENCE (default 0.5)
+ * @returns {number}
+ */
+export function getCacheThreshold() {
+  const threshold = parseFloat(process.env.CACHE_MIN_CONFIDENCE);
+  return Number.isFinite(threshold) && threshold >= 0 && threshold <= 1 ? threshold : DEFAULT_CACHE_THRESHOLD;
+}
+
+/**
+ * Signal weights with CONFIDENCE_WEIGHTS overrides applied
+ * @returns {Object}
+ */
+export function getConfidenceWeights() {
+  return { ...DEFAULT_WEIGHTS, ...parseOverrides('CONFIDENCE_WEIGHTS') };
+}
+
+/**
+ * Source reliability scores with CONFIDENCE_SOURCE_SCORES overrides applied
+ * @returns {Object}
+ */
+export function getSourceScores() {
+  return { ...DEFAULT_SOURCE_SCORES, ...parseOverrides('CONFIDENCE_SOURCE_SCORES') };
+}
+
+/**
+ * Parse a JSON object of numbers from an env var, ignoring anything invalid
+ */
+function parseOverrides(name) {
+  const raw = process.env[name];
+  if (!raw) return {};
+  if (parsedOverrides.has(raw)) return parsedOverrides.get(raw);
+
+  let overrides = {};
+  try {
+    const parsed = JSON.parse(raw);
+    overrides = Object.fromEntries(
+      Object.entries(parsed).filter(([, value]) => typeof value === 'number' && Number.isFinite(value))
+    );
+  } catch (error) {
+    console.warn(`Ignoring ${name}: not valid JSON (${error.message})`);
+  }
+
+  parsedOverrides.set(raw, overrides);
+  return overrides;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Pattern confidence for the brand a source actually returned
+ * - Matches a candidate: that candidate's score (a Jordan result for a
+ *   Nike-ranked SKU scores as the Jordan candidate, not the top pick)
+ * - Matches no candidate: halved, the SKU format points at another brand
+ * - No candidates or no brand: unchanged
+ *
+ * @param {number} patternConfidence
+ * @param {Array<{ brand: string, score: number }>|null} candidates
+ * @param {string|null} resolvedBrand
+ * @returns {number}
+ */
+export function brandPatternConfidence(patternConfidence, candidates, resolvedBrand) {
+  if (!candidates?.length || !resolvedBrand) return patternConfidence;
+
+  const match = findCandidate(candidates, resolvedBrand);
+  return match ? match.score : patternConfidence * 0.5;
+}
+
+/**
+ * Candidate for a brand name (Yeezy counts as Adidas)
+ */
+function findCandidate(candidates, brand) {
+  const aliases = { YEEZY: 'ADIDAS' };
+  const upper = brand.toUpperCase();
+  const key = aliases[upper] || upper;
+  return candidates.find(c => c.brand.toUpperCase() === key) || null;
 }
 
 /**
@@ -0,0 +1,41 @@
+/**
+ * Error types shared across resolvers and routes, and the reply helper
+ * that maps them onto HTTP statuses
+ */
+
+/**
+ * An upstream source could not answer (timeout, 429, 5xx, network error,
+ * open circuit). Distinct from a clean "no match": the SKU may well exist.
+ */
+export class UpstreamError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {string} [details.source] - Resolver name
+   * @param {number} [details.status] - HTTP status, when there was a response
+   * @param {number} [details.retryAfterMs] - How long the source asked us to wait
+   * @param {boolean} [details.retryable=true] - Whether retrying later can help
+   */
+  constructor(message, { source = null, status = null, retryAfterMs = null, retryable = true } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.source = source;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Send a resolve/search result, replying 503 (with Retry-After when known)
+ * when upstream sources were unavailable so clients retry instead of
+ * treating the SKU as unknown
+ * @param {import('fastify').FastifyReply} reply
+ * @param {Object} result
+ */
+export function sendResult(reply, result) {
+  if (result.error_code !== 'upstream_unavailable') return result;
+
+  if (result.retry_after) reply.header('Retry-After', String(result.retry_after));
+  return reply.status(503).send(result);
+}
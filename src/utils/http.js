@@ -0,0 +1,120 @@
+/**
+ * HTTP helpers for upstream APIs
+ * Each attempt gets its own timeout; 429 and 5xx responses and network
+ * errors are retried with jittered exponential backoff, honoring Retry-After.
+ */
+
+import { UpstreamError } from './errors.js';
+
+const DEFAULT_RETRIES = 2;
+const BASE_DELAY_MS = 250;
+// Longer Retry-After values fail fast instead of holding the request open
+const MAX_DELAY_MS = 4000;
+
+/**
+ * fetch() with per-attempt timeout and retries
+ * Non-retryable responses (2xx, 3xx, 4xx other than 429) are returned as-is.
+ *
+ * @param {string} url
+ * @param {Object} [options] - fetch options
+ * @param {Object} [policy]
+ * @param {string} [policy.source] - Name used in errors and logs
+ * @param {number} [policy.attemptTimeoutMs=5000]
+ * @param {number} [policy.retries] - Extra attempts (default UPSTREAM_RETRIES or 2)
+ * @param {AbortSignal} [policy.signal] - Aborts the whole call (e.g. the resolver's time budget)
+ * @returns {Promise<Response>}
+ * @throws {UpstreamError}
+ */
+export async function fetchWithRetry(url, options = {}, { source = 'upstream', attemptTimeoutMs = 5000, retries = getRetries(), signal } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let failure;
+
+    try {
+      const response = await fetch(url, {
+        ...options,
+        signal: combineSignals(signal, AbortSignal.timeout(attemptTimeoutMs))
+      });
+
+      if (!isRetryableStatus(response.status)) return response;
+
+      failure = new UpstreamError(`${source} responded ${response.status}`, {
+        source,
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+      });
+    } catch (error) {
+      if (signal?.aborted) throw toUpstreamError(signal.reason || error, source);
+      failure = toUpstreamError(error, source);
+    }
+
+    if (attempt >= retries) throw failure;
+
+    const delay = failure.retryAfterMs ?? backoffDelay(attempt);
+    if (delay > MAX_DELAY_MS) throw failure;
+
+    console.warn(`${failure.message}, retrying in ${delay}ms (attempt ${attempt + 2}/${retries + 1})`);
+    await sleep(delay, signal);
+  }
+}
+
+/**
+ * 429 and 5xx are worth retrying; other statuses are final
+ * @param {number} status
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with equal jitter: half fixed, half random
+ */
+function backoffDelay(attempt) {
+  const ceiling = BASE_DELAY_MS * 2 ** attempt;
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function toUpstreamError(error, source) {
+  if (error instanceof UpstreamError) return error;
+
+  const timedOut = error?.name === 'TimeoutError';
+  return new UpstreamError(timedOut ? `${source} timed out` : `${source} request failed: ${error?.message}`, { source });
+}
+
+function combineSignals(...signals) {
+  return AbortSignal.any(signals.filter(Boolean));
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * Retries from UPSTREAM_RETRIES (default 2)
+ */
+function getRetries() {
+  const retries = parseInt(process.env.UPSTREAM_RETRIES, 10);
+  return Number.isInteger(retries) && retries >= 0 ? retries : DEFAULT_RETRIES;
+}
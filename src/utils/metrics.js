@@ -0,0 +1,170 @@
+/**
+ * Prometheus metrics
+ * A minimal in-process registry (counters, histograms, scrape-time gauges)
+ * rendered in the Prometheus text exposition format by GET /metrics.
+ *
+ * Metrics are declared next to the code that records them:
+ *   const lookups = counter('sole_lookups_total', 'Lookups by outcome', ['outcome']);
+ *   lookups.inc({ outcome: 'hit' });
+ */
+
+// Seconds; suits calls from a few ms (cache, catalog) up to the 12s upstream budget
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15];
+
+const registry = new Map();
+
+/**
+ * Declare a counter (or get the existing one with that name)
+ * @param {string} name
+ * @param {string} help
+ * @param {Array<string>} [labelNames]
+ * @returns {{ inc: (labels?: Object, value?: number) => void }}
+ */
+export function counter(name, help, labelNames = []) {
+  return declare(name, () => {
+    const values = new Map();
+
+    return {
+      type: 'counter',
+      help,
+      inc(labels = {}, value = 1) {
+        const key = labelKey(labelNames, labels);
+        values.set(key, (values.get(key) || 0) + value);
+      },
+      lines() {
+        return [...values].map(([key, value]) => `${name}${key} ${value}`);
+      }
+    };
+  });
+}
+
+/**
+ * Declare a histogram (or get the existing one with that name)
+ * @param {string} name
+ * @param {string} help
+ * @param {Array<string>} [labelNames]
+ * @param {Array<number>} [buckets] - Upper bounds, ascending
+ * @returns {{ observe: (labels: Object, value: number) => void }}
+ */
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  return declare(name, () => {
+    const series = new Map();
+
+    return {
+      type: 'histogram',
+      help,
+      observe(labels, value) {
+        const key = labelKey(labelNames, labels);
+        if (!series.has(key)) {
+          series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+
+        const entry = series.get(key);
+        buckets.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+      },
+      lines() {
+        const out = [];
+        for (const [key, { labels, counts, sum, count }] of series) {
+          buckets.forEach((bound, i) => {
+            out.push(`${name}_bucket${labelKey([...labelNames, 'le'], { ...labels, le: bound })} ${counts[i]}`);
+          });
+          out.push(`${name}_bucket${labelKey([...labelNames, 'le'], { ...labels, le: '+Inf' })} ${count}`);
+          out.push(`${name}_sum${key} ${round(sum)}`);
+          out.push(`${name}_count${key} ${count}`);
+        }
+        return out;
+      }
+    };
+  });
+}
+
+/**
+ * Declare a gauge whose values are read at scrape time
+ * @param {string} name
+ * @param {string} help
+ * @param {Array<string>} labelNames
+ * @param {() => Array<{ labels?: Object, value: number }>} collect
+ */
+export function gauge(name, help, labelNames, collect) {
+  return declare(name, () => ({
+    type: 'gauge',
+    help,
+    lines() {
+      return collect().map(({ labels = {}, value }) => `${name}${labelKey(labelNames, labels)} ${value}`);
+    }
+  }));
+}
+
+/**
+ * Time an async call into a histogram
+ * `labels` may be a function of the outcome, e.g. to label hits and errors.
+ *
+ * @param {Object} metric - From histogram()
+ * @param {Object|((error: Error|null, result: *) => Object)} labels
+ * @param {() => Promise<*>} call
+ * @returns {Promise<*>}
+ */
+export async function timed(metric, labels, call) {
+  const start = process.hrtime.bigint();
+  const seconds = () => Number(process.hrtime.bigint() - start) / 1e9;
+
+  try {
+    const result = await call();
+    metric.observe(typeof labels === 'function' ? labels(null, result) : labels, seconds());
+    return result;
+  } catch (error) {
+    metric.observe(typeof labels === 'function' ? labels(error) : labels, seconds());
+    throw error;
+  }
+}
+
+/**
+ * Render every metric in the Prometheus text format
+ * @returns {string}
+ */
+export function renderMetrics() {
+  const out = [];
+
+  for (const [name, metric] of registry) {
+    let lines;
+    try {
+      lines = metric.lines();
+    } catch (error) {
+      console.error(`Metric ${name} could not be collected:`, error.message);
+      continue;
+    }
+
+    out.push(`# HELP ${name} ${metric.help}`);
+    out.push(`# TYPE ${name} ${metric.type}`);
+    out.push(...lines);
+  }
+
+  return `${out.join('\n')}\n`;
+}
+
+function declare(name, create) {
+  if (!registry.has(name)) registry.set(name, create());
+  return registry.get(name);
+}
+
+/**
+ * `{a="1",b="2"}` in label-name order (empty string when there are no labels)
+ */
+function labelKey(labelNames, labels) {
+  if (!labelNames.length) return '';
+
+  const pairs = labelNames.map(label => `${label}="${escapeLabel(labels?.[label] ?? '')}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function round(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
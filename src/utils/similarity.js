@@ -0,0 +1,72 @@
+/**
+ * Text similarity for ranking free-text search results
+ */
+
+/**
+ * Split text into lowercase word tokens
+ * "Air Jordan 4 'Military Black'" → ['air', 'jordan', '4', 'military', 'black']
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+  if (!text) return [];
+
+  return text
+    .toLowerCase()
+    .replace(/['"’()]/g, ' ')
+    .split(/[^a-z0-9.]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Score how well a candidate name matches a query (0-1)
+ * Mostly query coverage (how many query words appear in the name, allowing
+ * one typo in longer words), plus word-set overlap so shorter,
+ * tighter names win ties.
+ *
+ * @param {string} query
+ * @param {string} candidate
+ * @returns {number}
+ */
+export function textSimilarity(query, candidate) {
+  const queryTokens = [...new Set(tokenize(query))];
+  const candidateTokens = [...new Set(tokenize(candidate))];
+  if (!queryTokens.length || !candidateTokens.length) return 0;
+
+  const matched = queryTokens.filter(q => candidateTokens.some(c => tokensMatch(q, c)));
+  const coverage = matched.length / queryTokens.length;
+  const dice = (2 * matched.length) / (queryTokens.length + candidateTokens.length);
+
+  return Math.round((coverage * 0.7 + dice * 0.3) * 100) / 100;
+}
+
+/**
+ * Exact match, or one typo (including a swapped pair) for words of 4+ characters
+ */
+function tokensMatch(a, b) {
+  if (a === b) return true;
+  if (a.length < 4 || b.length < 4 || Math.abs(a.length - b.length) > 1) return false;
+  return editDistance(a, b) <= 1;
+}
+
+/**
+ * Edit distance counting an adjacent swap ("militray") as one edit
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+  );
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+}
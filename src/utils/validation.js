@@ -2,10 +2,14 @@
  * Input validation utilities
  */
 
+import { classifyBarcode } from '../classifiers/barcode.js';
+
 /**
  * Validate a SKU query
+ * UPC/EAN barcodes (12–13 digits) are accepted when their check digit holds,
+ * and come back with `barcode` set.
  * @param {string} query 
- * @returns {{ valid: boolean, error?: string, normalized?: string }}
+ * @returns {{ valid: boolean, error?: string, normalized?: string, barcode?: Object }}
  */
 export function validateSkuQuery(query) {
   if (!query || typeof query !== 'string') {
@@ -22,6 +26,14 @@ export function validateSkuQuery(query) {
     return { valid: false, error: 'Query too long (maximum 20 characters)' };
   }
 
+  const barcode = classifyBarcode(trimmed);
+  if (barcode.barcode) {
+    if (!barcode.valid) {
+      return { valid: false, error: 'Query looks like a UPC/EAN barcode but its check digit is wrong' };
+    }
+    return { valid: true, normalized: barcode.code, barcode };
+  }
+
   // Check for garbage input
   if (/^[0-9]+$/.test(trimmed) && trimmed.length < 6) {
     return { valid: false, error: 'Query appears to be invalid (too few characters)' };
@@ -38,6 +50,33 @@ export function validateSkuQuery(query) {
   return { valid: true, normalized };
 }
 
+/**
+ * Validate a free-text product search
+ * @param {string} query 
+ * @returns {{ valid: boolean, error?: string, normalized?: string }}
+ */
+export function validateSearchQuery(query) {
+  if (!query || typeof query !== 'string') {
+    return { valid: false, error: 'Query is required and must be a string' };
+  }
+
+  const normalized = query.trim().replace(/\s+/g, ' ');
+
+  if (normalized.length < 3) {
+    return { valid: false, error: 'Query too short (minimum 3 characters)' };
+  }
+
+  if (normalized.length > 100) {
+    return { valid: false, error: 'Query too long (maximum 100 characters)' };
+  }
+
+  if (/[^\p{L}\p{N}\s\-'"’&.,/()+]/u.test(normalized)) {
+    return { valid: false, error: 'Query contains invalid characters' };
+  }
+
+  return { valid: true, normalized };
+}
+
 /**
  * Validate base64 image data
  * @param {string} imageData 
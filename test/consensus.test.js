@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeResults } from '../src/resolvers/consensus.js';
+
+const panda = {
+  source: 'kicksdb',
+  priority: 10,
+  exactMatch: true,
+  data: { brand: 'Nike', name: 'Nike Dunk Low Retro White Black', model: 'Dunk Low', colorway: null, images: [] },
+  market: { currency: 'USD', lowest_ask: 98, last_sale: 104, sizes: {}, source: 'kicksdb' }
+};
+
+// Sneaks found no DD1391-100 and fell back to its first search hit
+const otherDunk = {
+  source: 'sneaks',
+  priority: 20,
+  exactMatch: false,
+  data: { brand: 'Nike', name: 'Nike Dunk Low Grey Fog', model: 'Dunk Low', colorway: 'Grey Fog', images: ['https://example.com/grey-fog.jpg'] },
+  market: { currency: 'USD', lowest_ask: 140, last_sale: 151, sizes: {}, source: 'sneaks' }
+};
+
+test('leaves out a fuzzy fallback when another source matched exactly', () => {
+  const merged = mergeResults([panda, otherDunk]);
+
+  assert.equal(merged.exactMatch, true);
+  assert.deepEqual(merged.sources, ['kicksdb']);
+  assert.equal(merged.data.colorway, null);
+  assert.deepEqual(merged.data.images, []);
+  assert.equal(merged.market.last_sale, 104);
+  assert.deepEqual(merged.conflicts, []);
+});
+
+test('takes market data only from exact matches', () => {
+  const merged = mergeResults([{ ...panda, market: null }, otherDunk]);
+
+  assert.equal(merged.market, null);
+});
+
+test('merges fuzzy results when no source matched exactly', () => {
+  const merged = mergeResults([{ ...panda, exactMatch: false }, otherDunk]);
+
+  assert.equal(merged.exactMatch, false);
+  assert.deepEqual(merged.sources, ['kicksdb', 'sneaks']);
+  assert.equal(merged.data.colorway, 'Grey Fog');
+  assert.equal(merged.market, null);
+});
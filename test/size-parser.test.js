@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSizeTag } from '../src/classifiers/size-parser.js';
+
+test('reads a men\'s tag without a gender label', () => {
+  const size = parseSizeTag('US 10  UK 9  EUR 44  CM 28');
+
+  assert.equal(size.scale, 'men');
+  assert.equal(size.us_men, 10);
+  assert.equal(size.eu, 44);
+});
+
+test('reads a gender label printed before US', () => {
+  const size = parseSizeTag('WMNS US 8.5 UK 6 EUR 40 CM 25.5');
+
+  assert.equal(size.scale, 'women');
+  assert.equal(size.us_women, 8.5);
+  assert.equal(size.us_men, null);
+  assert.equal(size.uk, 6);
+  assert.equal(size.cm, 25.5);
+  assert.equal(size.consistent, true);
+});
+
+test('reads a gender label printed after US', () => {
+  const size = parseSizeTag('US M 10 / W 11.5');
+
+  assert.equal(size.scale, 'unisex');
+  assert.equal(size.us_men, 10);
+  assert.equal(size.us_women, 11.5);
+});